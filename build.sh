@@ -1,75 +1,129 @@
 #!/bin/bash
 # Build script for Armorly Chrome Extension v2.1.0
-# AI ad blocker with popup UI - no network blocking, just client-side protection
+# AI ad blocker with popup UI - client-side protection, optional ad SDK network blocking
+#
+#   ./build.sh            Chrome/Chromium build: build/ and armorly-extension.zip
+#   ./build.sh firefox    Firefox build: build-firefox/ and armorly-extension-firefox.zip
 
 set -e  # Exit on error
 
-echo "🛡️  Building Armorly v2.1.0 (AI Ad Blocker)..."
+TARGET="${1:-chrome}"
+
+case "$TARGET" in
+  chrome)
+    BUILD_DIR=build
+    PACKAGE=armorly-extension.zip
+    ;;
+  firefox)
+    BUILD_DIR=build-firefox
+    PACKAGE=armorly-extension-firefox.zip
+    if ! command -v node > /dev/null; then
+      echo "❌ Error: the Firefox build needs Node.js to write its manifest"
+      exit 1
+    fi
+    ;;
+  *)
+    echo "Usage: ./build.sh [chrome|firefox]"
+    exit 1
+    ;;
+esac
+
+echo "🛡️  Building Armorly v2.1.0 (AI Ad Blocker) for $TARGET..."
 
 # Clean previous build
 echo "📦 Cleaning previous build..."
-rm -rf build
-rm -f armorly-extension.zip
+rm -rf "$BUILD_DIR"
+rm -f "$PACKAGE"
 
 # Create build directory
 echo "📁 Creating build directory..."
-mkdir -p build
+mkdir -p "$BUILD_DIR"
 
 # Copy required files from extension folder
 echo "📋 Copying extension files..."
 
-# Core files
-cp extension/manifest.json build/
+# Core files (Firefox gets a manifest generated from the Chrome one)
+if [ "$TARGET" = "firefox" ]; then
+  node tools/firefox-manifest.js "$BUILD_DIR/manifest.json"
+else
+  cp extension/manifest.json "$BUILD_DIR/"
+fi
 
 # Directories
-cp -r extension/icons build/
-cp -r extension/content build/
-cp -r extension/lib build/
-cp -r extension/popup build/
+cp -r extension/background "$BUILD_DIR/"
+cp -r extension/icons "$BUILD_DIR/"
+cp -r extension/content "$BUILD_DIR/"
+cp -r extension/lib "$BUILD_DIR/"
+cp -r extension/popup "$BUILD_DIR/"
+cp -r extension/options "$BUILD_DIR/"
 
 # Verify critical files exist
 echo "✅ Verifying build..."
 
-if [ ! -f build/manifest.json ]; then
+if [ ! -f "$BUILD_DIR/manifest.json" ]; then
   echo "❌ Error: manifest.json missing!"
   exit 1
 fi
 
-if [ ! -f build/lib/ad-patterns.js ]; then
-  echo "❌ Error: ad-patterns.js missing!"
+for lib in browser-compat.js rule-schema.js ad-rules.js ad-patterns.js site-policy.js activity-log.js settings.js content-startup.js neutralizer.js dom-traversal.js scan-scheduler.js stream-guard.js text-normalizer.js injection-classifier.js commerce-detector.js url-cleaner.js paste-guard.js network-rules.js rule-pack-keys.js rule-packs.js filter-list.js element-picker.js diagnostics.js; do
+  if [ ! -f "$BUILD_DIR/lib/$lib" ]; then
+    echo "❌ Error: $lib missing!"
+    exit 1
+  fi
+done
+
+if [ ! -f "$BUILD_DIR/background/service-worker.js" ]; then
+  echo "❌ Error: service-worker.js missing!"
   exit 1
 fi
 
-if [ ! -f build/content/ai-ad-blocker.js ]; then
+if [ ! -f "$BUILD_DIR/content/ai-ad-blocker.js" ]; then
   echo "❌ Error: ai-ad-blocker.js missing!"
   exit 1
 fi
 
-if [ ! -f build/content/hidden-content-blocker.js ]; then
+if [ ! -f "$BUILD_DIR/content/hidden-content-blocker.js" ]; then
   echo "❌ Error: hidden-content-blocker.js missing!"
   exit 1
 fi
 
+if [ ! -f "$BUILD_DIR/content/sdk-interceptor.js" ]; then
+  echo "❌ Error: sdk-interceptor.js missing!"
+  exit 1
+fi
+
+if [ ! -f "$BUILD_DIR/content/page-hooks.js" ]; then
+  echo "❌ Error: page-hooks.js missing!"
+  exit 1
+fi
+
 # Create zip package
 echo "📦 Creating extension package..."
-cd build
-zip -r ../armorly-extension.zip . -q
+cd "$BUILD_DIR"
+zip -r "../$PACKAGE" . -q
 cd ..
 
 # Get file size
-SIZE=$(du -h armorly-extension.zip | cut -f1)
-FILE_COUNT=$(find build -type f | wc -l | tr -d ' ')
+SIZE=$(du -h "$PACKAGE" | cut -f1)
+FILE_COUNT=$(find "$BUILD_DIR" -type f | wc -l | tr -d ' ')
 
 echo ""
 echo "✅ Extension packaged successfully!"
-echo "📦 Package: armorly-extension.zip"
+echo "📦 Package: $PACKAGE"
 echo "📊 Size: $SIZE"
 echo "📁 Files: $FILE_COUNT"
 echo ""
 echo "🚀 Next steps:"
-echo "   1. Go to chrome://extensions/"
-echo "   2. Enable 'Developer mode'"
-echo "   3. Click 'Load unpacked' and select the 'build' folder"
-echo "   OR"
-echo "   4. Upload armorly-extension.zip to Chrome Web Store"
+if [ "$TARGET" = "firefox" ]; then
+  echo "   1. Go to about:debugging#/runtime/this-firefox"
+  echo "   2. Click 'Load Temporary Add-on...' and select build-firefox/manifest.json"
+  echo "   OR"
+  echo "   3. Upload $PACKAGE to addons.mozilla.org"
+else
+  echo "   1. Go to chrome://extensions/"
+  echo "   2. Enable 'Developer mode'"
+  echo "   3. Click 'Load unpacked' and select the 'build' folder"
+  echo "   OR"
+  echo "   4. Upload $PACKAGE to Chrome Web Store"
+fi
 echo ""
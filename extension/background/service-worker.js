@@ -0,0 +1,330 @@
+/**
+ * Armorly - Background Service Worker
+ *
+ * Aggregates stats reported by every frame of every tab:
+ * - Per-tab totals (all frames summed), reset when the top frame navigates
+ * - Per-tab activity log (what was removed, cleaned or neutralized)
+ * - Lifetime totals across all tabs and sessions
+ * - Live count on the toolbar badge
+ * - Opt-in network blocking of ad SDK hosts (declarativeNetRequest rules
+ *   built from the pattern library; blocked requests count as
+ *   requestsBlocked)
+ * - Rule pack updates from the user's pack URL, checked at browser start
+ * - The "Block this element" context menu entry (starts the element picker
+ *   in the frame that was right-clicked)
+ *
+ * Content scripts report with two messages:
+ *   { type: 'FRAME_STATUS', active, adapter }  once per frame, after the site policy check
+ *                                              (adapter: { id, name } or null)
+ *   { type: 'ACTIVITY', delta, entries }       batched counter increments and log entries
+ *
+ * MV3 service workers are stopped when idle, so per-tab totals live in
+ * chrome.storage.session and lifetime totals in chrome.storage.local.
+ */
+
+'use strict';
+
+// Firefox has no service workers for extensions: its build loads these
+// files, then this one, as background scripts (see tools/firefox-manifest.js)
+if (typeof importScripts === 'function') {
+  importScripts(
+    '../lib/browser-compat.js',
+    '../lib/site-policy.js',
+    '../lib/settings.js',
+    '../lib/rule-schema.js',
+    '../lib/ad-rules.js',
+    '../lib/ad-patterns.js',
+    '../lib/rule-pack-keys.js',
+    '../lib/rule-packs.js',
+    '../lib/network-rules.js'
+  );
+}
+
+const LIFETIME_KEY = 'lifetimeStats';
+const BADGE_COLOR = '#16a34a';
+const MAX_LOG_ENTRIES = 200;
+
+// =========================================================================
+// STORAGE HELPERS
+// =========================================================================
+
+function tabKey(tabId) {
+  return `tabStats:${tabId}`;
+}
+
+// Storage reads and writes are read-modify-write; run them one at a time
+// so concurrent frames can't overwrite each other's increments
+let updateQueue = Promise.resolve();
+
+function serialize(task) {
+  updateQueue = updateQueue.then(task).catch(error => {
+    console.error('[Armorly] Stats update failed:', error);
+  });
+  return updateQueue;
+}
+
+async function getTabStats(tabId) {
+  const key = tabKey(tabId);
+  const data = await chrome.storage.session.get(key);
+  return data[key] || null;
+}
+
+async function setTabStats(tabId, tabStats) {
+  await chrome.storage.session.set({ [tabKey(tabId)]: tabStats });
+}
+
+async function getLifetimeStats() {
+  const data = await chrome.storage.local.get(LIFETIME_KEY);
+  return data[LIFETIME_KEY] || {};
+}
+
+/**
+ * Add numeric counters from `delta` into `target`, ignoring anything else
+ */
+function addCounts(target, delta) {
+  Object.keys(delta).forEach(name => {
+    const count = delta[name];
+    if (typeof count === 'number' && Number.isFinite(count) && count > 0) {
+      target[name] = (target[name] || 0) + count;
+    }
+  });
+  return target;
+}
+
+// =========================================================================
+// BADGE
+// =========================================================================
+
+function sumCounts(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+function updateBadge(tabId, counts) {
+  const total = sumCounts(counts);
+  const text = total === 0 ? '' : (total > 999 ? '999+' : String(total));
+
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {
+    // Tab closed before the update landed
+  });
+}
+
+// =========================================================================
+// MESSAGE HANDLERS
+// =========================================================================
+
+/**
+ * A frame finished its policy check. A top-frame report means a new page,
+ * so the tab's totals start over and its platform adapter is recorded.
+ */
+function handleFrameStatus(tabId, frameId, active, adapter) {
+  return serialize(async () => {
+    let tabStats = await getTabStats(tabId);
+
+    if (frameId === 0 || !tabStats) {
+      tabStats = { active: false, counts: {}, log: [] };
+    }
+    if (frameId === 0) {
+      tabStats.active = Boolean(active);
+      tabStats.adapter = adapter && typeof adapter.name === 'string' ? adapter : null;
+    }
+
+    await setTabStats(tabId, tabStats);
+    updateBadge(tabId, tabStats.counts);
+  });
+}
+
+/**
+ * Sum a frame's counter increments into its tab and the lifetime totals,
+ * and append its log entries (oldest dropped past MAX_LOG_ENTRIES)
+ */
+function handleActivity(tabId, delta, entries) {
+  return serialize(async () => {
+    const tabStats = (await getTabStats(tabId)) || { active: true, counts: {}, log: [] };
+    addCounts(tabStats.counts, delta);
+    tabStats.log = tabStats.log.concat(entries).slice(-MAX_LOG_ENTRIES);
+
+    const lifetime = addCounts(await getLifetimeStats(), delta);
+
+    await setTabStats(tabId, tabStats);
+    await chrome.storage.local.set({ [LIFETIME_KEY]: lifetime });
+    updateBadge(tabId, tabStats.counts);
+  });
+}
+
+async function handleGetTabStats(tabId) {
+  await updateQueue;
+  const tabStats = await getTabStats(tabId);
+
+  return {
+    reported: Boolean(tabStats),
+    active: tabStats ? tabStats.active : false,
+    adapter: tabStats ? tabStats.adapter || null : null,
+    page: tabStats ? tabStats.counts : {},
+    log: tabStats ? tabStats.log : [],
+    lifetime: await getLifetimeStats()
+  };
+}
+
+self.ArmorlyBrowser.onMessage('FRAME_STATUS', (message, sender) => {
+  if (sender.tab) {
+    handleFrameStatus(sender.tab.id, sender.frameId, message.active, message.adapter);
+  }
+});
+
+self.ArmorlyBrowser.onMessage('ACTIVITY', (message, sender) => {
+  if (sender.tab && message.delta && typeof message.delta === 'object') {
+    handleActivity(sender.tab.id, message.delta, Array.isArray(message.entries) ? message.entries : []);
+  }
+});
+
+self.ArmorlyBrowser.onMessage('GET_TAB_STATS', message => handleGetTabStats(message.tabId));
+
+// =========================================================================
+// NETWORK BLOCKING
+// =========================================================================
+
+// Dynamic rules currently installed; blocked requests are matched
+// against them before they are counted
+let networkRules = [];
+
+/**
+ * Replace Armorly's dynamic rules with the current network rules, or
+ * remove them when the setting is off
+ */
+function syncNetworkRules() {
+  if (!chrome.declarativeNetRequest || !self.ArmorlyAdPatterns) {
+    return Promise.resolve();
+  }
+
+  return Promise.all([
+    self.ArmorlySettings.load(),
+    self.ArmorlySitePolicy.loadOverrides(),
+    chrome.declarativeNetRequest.getDynamicRules(),
+    self.ArmorlyRulePacks.ready()
+  ]).then(([settings, overrides, existing]) => {
+    const addRules = settings.networkBlocking
+      ? self.ArmorlyNetworkRules.buildRules(self.ArmorlyAdPatterns, self.ArmorlySitePolicy, overrides)
+      : [];
+    return chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map(rule => rule.id),
+      addRules
+    }).then(() => watchBlockedRequests(addRules));
+  }).catch(error => {
+    console.error('[Armorly] Network rules update failed:', error);
+  });
+}
+
+/**
+ * Observe failed requests only while `rules` block anything. Listener
+ * filters are fixed when registered and rule pack hosts change, so every
+ * URL is observed and matched against the rules in the handler.
+ */
+function watchBlockedRequests(rules) {
+  networkRules = rules;
+  if (!chrome.webRequest) {
+    return;
+  }
+  const errors = chrome.webRequest.onErrorOccurred;
+  if (rules.length === 0) {
+    errors.removeListener(handleBlockedRequest);
+  } else if (!errors.hasListener(handleBlockedRequest)) {
+    errors.addListener(handleBlockedRequest, { urls: ['<all_urls>'] });
+  }
+}
+
+/**
+ * Count a request our rules blocked against its tab. Another blocker
+ * failing a request, or Firefox aborting one for other reasons, looks
+ * the same, so only requests one of Armorly's rules applies to count.
+ */
+async function handleBlockedRequest(details) {
+  if (!self.ArmorlyNetworkRules.BLOCKED_ERRORS.includes(details.error) || details.tabId < 0) {
+    return;
+  }
+
+  // Chromium reports the requesting origin; Firefox the requesting page
+  const site = details.initiator || details.originUrl || details.documentUrl || '';
+  const rule = self.ArmorlyNetworkRules.matchRequest(networkRules, {
+    url: details.url,
+    initiator: site,
+    type: details.type
+  });
+  if (!rule) {
+    return;
+  }
+
+  await self.ArmorlyRulePacks.ready();
+  const sdk = self.ArmorlyAdPatterns.getNetworkSDK(details.url);
+  if (!sdk) {
+    return;
+  }
+  handleActivity(details.tabId, { requestsBlocked: 1 }, [{
+    time: Date.now(),
+    kind: 'request',
+    frame: site,
+    detail: { sdk: sdk.name, url: details.url, type: details.type }
+  }]);
+}
+
+// A restarted worker has lost its listeners; the installed rules say
+// whether blocked requests need watching
+if (chrome.declarativeNetRequest && self.ArmorlyAdPatterns) {
+  chrome.declarativeNetRequest.getDynamicRules().then(watchBlockedRequests);
+}
+
+self.ArmorlySettings.onChanged(syncNetworkRules);
+self.ArmorlySitePolicy.onOverridesChanged(syncNetworkRules);
+
+// A pack installed or rolled back may add or drop network hosts
+self.ArmorlyRulePacks.onChanged(state => {
+  self.ArmorlyRulePacks.ready().then(() => {
+    self.ArmorlyRulePacks.apply(self.ArmorlyRulePacks.activeFrom(state));
+    syncNetworkRules();
+  });
+});
+
+// =========================================================================
+// ELEMENT PICKER
+// =========================================================================
+
+const PICKER_MENU_ID = 'armorly-block-element';
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== PICKER_MENU_ID || !tab) {
+    return;
+  }
+  // Frames where Armorly is off don't listen; nothing to start there
+  self.ArmorlyBrowser.sendToTab(tab.id, { type: 'START_PICKER', fromContextMenu: true }, { frameId: info.frameId });
+});
+
+// =========================================================================
+// LIFECYCLE
+// =========================================================================
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  serialize(() => chrome.storage.session.remove(tabKey(tabId)));
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  // Rules may have changed with the update
+  syncNetworkRules();
+
+  // Menus survive updates; recreate so the entry is defined once
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: PICKER_MENU_ID,
+      title: 'Armorly: block this element',
+      contexts: ['page', 'frame', 'selection', 'link', 'image', 'video']
+    });
+  });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  self.ArmorlyRulePacks.update().then(result => {
+    if (result.errors.length > 0) {
+      console.warn('[Armorly] Rule pack update failed:', result.errors);
+    }
+  });
+});
@@ -5,11 +5,24 @@
  * - Koah, Monetzly, Sponsored.so, Grok/X, Imprezia, Google AdSense
  *
  * Methods:
- * 1. SDK interception (block init/monetize calls before they run)
- * 2. DOM-based ad removal (sponsored labels, product cards)
- * 3. Affiliate link cleaning (strip tracking parameters)
+ * 1. SDK interception (block init/monetize calls before they run; the
+ *    traps live in the page's world, see sdk-interceptor.js)
+ * 2. DOM-based ad removal (sponsored labels, product cards, filter list
+ *    cosmetic rules)
+ * 3. Platform adapter heuristics (sponsored follow-up suggestions,
+ *    unlabeled shopping cards scored by the commerce detector)
+ * 4. Affiliate link cleaning (unwrap redirects, strip tracking parameters),
+ *    also at click, copy and window.open time
+ * 5. Incremental scanning of added and changed content
+ * 6. Element picker: the user's own per-site hide rules, started from the
+ *    popup or the context menu
+ * 7. The page's side of the popup's diagnostic report
  *
- * Silent operation - no UI, no logging, just blocking.
+ * Nothing is shown on the page except the element picker and, in
+ * soft-hide mode, placeholders for hidden ads. Every action is recorded
+ * with its reason through ArmorlyActivity, which feeds the popup's
+ * counters and activity log; the console only says whether Armorly runs
+ * on the page, or why it started with default settings.
  *
  * NOTE: We do NOT intercept appendChild/insertBefore/document.write
  * because this breaks many legitimate sites. Instead we rely on:
@@ -21,68 +34,96 @@
   'use strict';
 
   // =========================================================================
-  // STATS TRACKING (for popup display)
+  // STATS TRACKING (aggregated per tab by the background service worker)
   // =========================================================================
 
   const stats = {
     sdksBlocked: 0,
     linksCleaned: 0,
     elementsRemoved: 0,
+    cardsFlagged: 0,
     active: true
   };
 
-  // Listen for stats requests from popup
-  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.type === 'GET_STATS') {
-        sendResponse(stats);
-      }
-      return true;
-    });
+  /**
+   * Count an action locally and log it for the popup's activity list
+   */
+  function recordStat(name, kind, detail) {
+    stats[name]++;
+    window.ArmorlyActivity.record(name, kind, detail);
   }
 
   // =========================================================================
-  // DOMAIN ALLOWLIST - Skip sites that are NOT AI chatbots
+  // SDK SESSION TOKEN
   // =========================================================================
 
-  const SKIP_DOMAINS = [
-    'mail.google.com',
-    'calendar.google.com',
-    'docs.google.com',
-    'sheets.google.com',
-    'slides.google.com',
-    'drive.google.com',
-    'meet.google.com',
-    'chat.google.com',
-    'contacts.google.com',
-    'keep.google.com',
-    'tasks.google.com',
-    'photos.google.com',
-    'youtube.com',
-    'www.youtube.com',
-    'music.youtube.com',
-    'github.com',
-    'gitlab.com',
-    'bitbucket.org',
-    'stackoverflow.com',
-    'reddit.com',
-    'twitter.com',
-    'facebook.com',
-    'instagram.com',
-    'linkedin.com',
-    'amazon.com',
-    'ebay.com',
-    'netflix.com',
-    'spotify.com'
-  ];
-
-  // Check if we should skip this domain
-  const hostname = window.location.hostname.toLowerCase();
-  if (SKIP_DOMAINS.some(domain => hostname === domain || hostname.endsWith('.' + domain))) {
-    console.log('[Armorly] Skipping non-AI site:', hostname);
+  // The page-world interceptor (sdk-interceptor.js) hands over a channel
+  // element with a token before any page script runs. The token signs the
+  // policy message this script sends and the blocked-call reports that
+  // come back on the channel. Both are taken before anything below can
+  // return, so the channel never stays in the document for the page to read.
+
+  const SDK_READY_EVENT = 'armorly-sdk-ready';
+  const SDK_BLOCKED_EVENT = 'armorly-sdk-blocked';
+  const SDK_TOKEN_ATTR = 'data-armorly-sdk-token';
+  const SDK_CHANNEL_TAG = 'armorly-sdk-channel';
+
+  let sdkToken = null;
+
+  // Handles reports from the channel once this script runs on the page
+  let onSdkBlocked = null;
+
+  /**
+   * Take the channel from the ready event, or from under <html> when the
+   * page world ran first, and remove it from the document
+   */
+  function takeSdkToken(event) {
+    const root = document.documentElement;
+    const channel = event && event.target !== document ? event.target
+      : root && root.querySelector(`:scope > ${SDK_CHANNEL_TAG}`);
+    if (channel && channel.localName === SDK_CHANNEL_TAG) {
+      sdkToken = sdkToken || channel.getAttribute(SDK_TOKEN_ATTR);
+      channel.remove();
+      channel.addEventListener(SDK_BLOCKED_EVENT, blocked => {
+        if (onSdkBlocked) {
+          onSdkBlocked(blocked);
+        }
+      });
+    }
+    const fromEvent = event && typeof event.detail === 'string' ? event.detail : null;
+    sdkToken = sdkToken || fromEvent;
+  }
+
+  takeSdkToken();
+  if (!sdkToken) {
+    document.addEventListener(SDK_READY_EVENT, takeSdkToken, { once: true });
+  }
+
+  // =========================================================================
+  // SITE POLICY - Skip sites that are NOT AI chatbots
+  // =========================================================================
+
+  if (typeof window.ArmorlyStartup === 'undefined' || !window.ArmorlyStartup.hasLibs([
+    'ArmorlySitePolicy', 'ArmorlyActivity', 'ArmorlyNeutralizer', 'ArmorlyDom', 'ArmorlyScanScheduler',
+    'ArmorlyStreamGuard', 'ArmorlyCommerceDetector', 'ArmorlyUrlCleaner', 'ArmorlyRulePacks',
+    'ArmorlyFilterList', 'ArmorlyElementPicker', 'ArmorlyDiagnostics', 'ArmorlyBrowser', 'ArmorlySettings'
+  ])) {
+    stats.active = false;
     return;
   }
 
+  // User overrides and settings from chrome.storage.sync (loaded before init)
+  let siteOverrides = [];
+  let commercialCards = window.ArmorlySettings.DEFAULTS.commercialCards;
+
+  /**
+   * Current policy decision. Re-evaluated on every scan so SPA navigation
+   * (e.g. x.com -> x.com/i/grok) and override changes pick up the right features.
+   */
+  function sitePolicy() {
+    return window.ArmorlySitePolicy.evaluate(window.ArmorlySitePolicy.documentUrl(), siteOverrides);
+  }
+
   // Wait for patterns library to load
   if (typeof window.ArmorlyAdPatterns === 'undefined') {
     return;
@@ -90,90 +131,150 @@
 
   const patterns = window.ArmorlyAdPatterns;
 
+  function hostnameOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return window.location.hostname;
+    }
+  }
+
+  // Host the page belongs to (about:blank/srcdoc frames use their parent's),
+  // and the platform adapter for it, if any
+  const pageHost = hostnameOf(window.ArmorlySitePolicy.documentUrl());
+  const adapter = patterns.getAdapter(pageHost);
+
   // =========================================================================
   // 1. AI AD SDK INTERCEPTION (All Networks)
   // =========================================================================
 
-  /**
-   * Create a no-op proxy that absorbs all SDK method calls
-   */
-  function createSDKProxy(sdkName) {
-    return new Proxy({}, {
-      get: function(target, prop) {
-        // Return no-op functions for all SDK methods
-        return function() {
-          stats.sdksBlocked++;
-          return Promise.resolve();
-        };
-      },
-      set: function() {
-        return true;
-      }
-    });
-  }
+  // The interception itself runs in the page's world (sdk-interceptor.js),
+  // where SDK scripts can see it. This side tells it what the site policy
+  // says and records each call it neutralized.
+
+  const SDK_POLICY_EVENT = 'armorly-sdk-policy';
+
+  // Whether the policy message went out (it is only accepted once)
+  let sdkPolicySent = false;
+
+  // Calls reported before the frame status reached the background (which
+  // resets the tab's stats) wait here; null once they can be recorded
+  let pendingSdkCalls = [];
+
+  onSdkBlocked = (event) => {
+    let call;
+    try {
+      call = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!call || !sdkToken || call.token !== sdkToken || typeof call.sdk !== 'string' || typeof call.method !== 'string') {
+      return;
+    }
+    if (pendingSdkCalls) {
+      pendingSdkCalls.push(call);
+    } else {
+      recordStat('sdksBlocked', 'sdk', { sdk: call.sdk, method: call.method });
+    }
+  };
 
   /**
-   * Block all AI ad SDKs by intercepting their initialization
-   * This prevents SDK global objects from being usable even if script loads
+   * Tell the page-world interceptor whether the site policy (with user
+   * overrides) allows interception and which SDKs a rule pack adds, then
+   * record the calls it has absorbed so far if it does
    */
-  function blockAllAdSDKs() {
-    // Get all SDK function names from patterns
-    const sdkFunctions = patterns.getAllSDKFunctions();
-
-    sdkFunctions.forEach(funcName => {
-      try {
-        const sdkProxy = createSDKProxy(funcName);
-        Object.defineProperty(window, funcName, {
-          get: function() {
-            return sdkProxy;
-          },
-          set: function() {
-            return true;
-          },
-          configurable: false
-        });
-      } catch {
-        // Property may already be defined, skip
-      }
-    });
+  function settleSdkInterception(enabled, packSdks) {
+    if (sdkToken && !sdkPolicySent) {
+      document.dispatchEvent(new CustomEvent(SDK_POLICY_EVENT, {
+        detail: JSON.stringify({ token: sdkToken, enabled, sdks: packSdks || null })
+      }));
+      sdkPolicySent = true;
+    }
+
+    const calls = pendingSdkCalls;
+    pendingSdkCalls = null;
+    if (enabled) {
+      calls.forEach(call => recordStat('sdksBlocked', 'sdk', { sdk: call.sdk, method: call.method }));
+    }
   }
 
   // =========================================================================
   // 2. DOM-BASED AD REMOVAL
   // =========================================================================
 
+  const neutralizer = window.ArmorlyNeutralizer;
+
   /**
-   * Remove ad elements from the DOM
+   * Remove (or hide, in soft-hide mode) ad elements in `root` (the
+   * document, a shadow root or an added subtree): built-in and filter list
+   * selectors, then filter list `:has-text()` rules
    */
-  function removeAdElements() {
-    const selectors = patterns.getSelectorsForPlatform();
+  function removeAdElements(root) {
+    const selectors = patterns.getSelectorsForPlatform(pageHost);
 
     selectors.forEach(selector => {
-      try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => {
-          el.remove();
-          stats.elementsRemoved++;
-        });
-      } catch {
-        // Invalid selector, skip
-      }
+      removeMatching(root, selector, null, selector);
+    });
+    patterns.getTextFilters(pageHost).forEach(filter => {
+      removeMatching(root, filter.selector, filter.text, filter.rule);
     });
   }
 
   /**
-   * Find and remove elements containing ad labels
+   * Neutralize elements in `root` matching `selector` (and whose text
+   * matches `text`, if given), logged under `rule`
+   */
+  function removeMatching(root, selector, text, rule) {
+    try {
+      const elements = window.ArmorlyDom.querySelectorAllDeep(selector, root);
+      elements.forEach(el => {
+        if (neutralizer.isHandled(el) || (text && !text.test(el.textContent))) {
+          return;
+        }
+        const element = window.ArmorlyActivity.describeElement(el);
+        neutralizer.neutralizeElement(el, 'Sponsored content hidden');
+        recordStat('elementsRemoved', 'element', { selector: rule, element });
+      });
+    } catch {
+      // Invalid selector, skip
+    }
+  }
+
+  /**
+   * Find and remove (or hide) elements containing ad labels
    * CONSERVATIVE: Only removes elements with CLEAR ad-specific attributes
    */
-  function removeAdLabeledElements() {
+  function removeAdLabeledElements(root) {
+    // Container -> the ad label text that flagged it
+    const elementsToRemove = new Map();
+
+    window.ArmorlyDom.getRoots(root).forEach(scope => {
+      findAdLabeledElements(scope, elementsToRemove);
+    });
+
+    elementsToRemove.forEach((label, el) => {
+      // A container nested inside one handled earlier in this pass
+      if (!el.isConnected || neutralizer.isHandled(el)) {
+        return;
+      }
+      const element = window.ArmorlyActivity.describeElement(el);
+      neutralizer.neutralizeElement(el, 'Sponsored content hidden');
+      recordStat('elementsRemoved', 'element', { label, element });
+    });
+  }
+
+  /**
+   * Collect ad-labeled containers in one root (document, shadow root or
+   * element)
+   */
+  function findAdLabeledElements(root, elementsToRemove) {
     const walker = document.createTreeWalker(
-      document.body || document.documentElement,
+      window.ArmorlyDom.walkScope(root),
       NodeFilter.SHOW_TEXT,
       null,
       false
     );
 
-    const elementsToRemove = new Set();
     let node;
 
     while ((node = walker.nextNode())) {
@@ -198,7 +299,9 @@
             container.hasAttribute('data-monetzly-ad') ||
             container.hasAttribute('data-sponsored')
           ) {
-            elementsToRemove.add(container);
+            if (!elementsToRemove.has(container) && !neutralizer.isHandled(container)) {
+              elementsToRemove.set(container, text);
+            }
             break;
           }
 
@@ -206,22 +309,176 @@
         }
       }
     }
+  }
 
-    elementsToRemove.forEach(el => {
-      el.remove();
-      stats.elementsRemoved++;
+  // =========================================================================
+  // 3. PLATFORM ADAPTER HEURISTICS
+  // =========================================================================
+
+  /**
+   * First ad label in an element's short text nodes or its aria-label
+   */
+  function findAdLabel(element) {
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && patterns.containsAdLabel(ariaLabel)) {
+      return ariaLabel;
+    }
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const text = node.textContent.trim();
+      if (text.length >= 2 && text.length <= 50 && patterns.containsAdLabel(text)) {
+        return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sponsored follow-up suggestions (Perplexity, Grok, ...) look exactly
+   * like the real ones apart from their label, so inside the adapter's
+   * follow-up container any labeled suggestion is removed on its own
+   */
+  function removeLabeledFollowUps(root) {
+    const dom = window.ArmorlyDom;
+    const containers = new Set(dom.querySelectorAllDeep(adapter.followUps, root));
+
+    // A suggestion streamed into an existing container
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      const enclosing = dom.closestDeep(root, adapter.followUps);
+      if (enclosing) {
+        containers.add(enclosing);
+      }
+    }
+
+    containers.forEach(container => {
+      if (!dom.closestDeep(container, adapter.conversation)) {
+        return;
+      }
+      const items = adapter.followUpItem
+        ? container.querySelectorAll(adapter.followUpItem)
+        : container.children;
+
+      Array.from(items).forEach(item => {
+        if (neutralizer.isHandled(item)) {
+          return;
+        }
+        const label = findAdLabel(item);
+        if (label) {
+          const element = window.ArmorlyActivity.describeElement(item);
+          neutralizer.neutralizeElement(item, 'Sponsored suggestion hidden');
+          recordStat('elementsRemoved', 'element', { label, element, platform: adapter.name });
+        }
+      });
+    });
+  }
+
+  // Heuristic name (see `heuristics` in ad-rules.js) -> scanner
+  const HEURISTICS = {
+    'labeled-follow-ups': root => {
+      if (adapter.followUps) {
+        removeLabeledFollowUps(root);
+      }
+    }
+  };
+
+  /**
+   * Unlabeled product cards inside assistant messages, scored by the
+   * commerce detector. Per the commercialCards setting they are flagged as
+   * likely commercial or removed like ads.
+   */
+  function handleCommercialCards(root) {
+    const dom = window.ArmorlyDom;
+    const messages = new Set(dom.querySelectorAllDeep(adapter.message, root));
+
+    // A card streamed into an existing message is scored with its siblings
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      const enclosing = dom.closestDeep(root, adapter.message);
+      if (enclosing) {
+        messages.add(enclosing);
+      }
+    }
+
+    const skip = card => neutralizer.isHandled(card) || neutralizer.isFlagged(card);
+
+    messages.forEach(message => {
+      const cards = window.ArmorlyCommerceDetector.findCommercialCards(
+        message, patterns, adapter.candidateSlots, skip
+      );
+
+      cards.forEach(({ card, score, signals }) => {
+        const element = window.ArmorlyActivity.describeElement(card);
+        if (commercialCards === 'remove') {
+          neutralizer.neutralizeElement(card, 'Likely commercial content hidden');
+          recordStat('elementsRemoved', 'element', { score, signals, element });
+        } else {
+          neutralizer.flagElement(card, 'likely commercial');
+          recordStat('cardsFlagged', 'element', { score, signals, element, flagged: true });
+        }
+      });
+    });
+  }
+
+  function runAdapterHeuristics(root) {
+    adapter.heuristics.forEach(name => {
+      if (HEURISTICS[name]) {
+        HEURISTICS[name](root);
+      }
     });
   }
 
   // =========================================================================
-  // 3. AFFILIATE LINK CLEANING
+  // 4. AFFILIATE LINK CLEANING
   // =========================================================================
 
+  const urlCleaner = window.ArmorlyUrlCleaner;
+
+  // Attributes chat UIs keep a link target in on non-link elements
+  const URL_ATTRIBUTES = ['data-url', 'data-href'];
+
+  // Bridge to page-hooks.js (MAIN world)
+  const CLEAN_EVENT = 'armorly-clean';
+  const CLEAN_KIND_ATTR = 'data-armorly-clean-kind';
+  const CLEAN_VALUE_ATTR = 'data-armorly-clean-value';
+
+  // URLs logged in the last second, so one copy putting the same link in
+  // text/plain and text/html is logged once
+  const recentlyLogged = new Set();
+
+  function linkCleaningEnabled() {
+    const policy = sitePolicy();
+    return policy.enabled && policy.features.affiliateCleaning;
+  }
+
   /**
-   * Clean affiliate tracking from all links
+   * Log callback for URLs cleaned outside the href scan. `at` says where
+   * the URL was caught: click, copy, open (window.open) or clipboard
+   * (clipboard API).
    */
-  function cleanAffiliateLinks() {
-    const links = document.querySelectorAll('a[href]');
+  function recordCleaned(at) {
+    return (before, after, redirector) => {
+      const key = `${at} ${before}`;
+      if (recentlyLogged.has(key)) {
+        return;
+      }
+      recentlyLogged.add(key);
+      setTimeout(() => recentlyLogged.delete(key), 1000);
+
+      const detail = { before, after, at };
+      if (redirector) {
+        detail.redirector = redirector;
+      }
+      recordStat('linksCleaned', 'link', detail);
+    };
+  }
+
+  /**
+   * Clean affiliate tracking from all links in `root`, unwrapping
+   * redirectors that carry the real destination
+   */
+  function cleanAffiliateLinks(root) {
+    const links = window.ArmorlyDom.querySelectorAllDeep('a[href]', root);
 
     links.forEach(link => {
       const href = link.href;
@@ -231,101 +488,364 @@
         return;
       }
 
-      // Check if URL has affiliate parameters
-      if (patterns.hasAffiliateParams(href)) {
-        link.href = patterns.cleanUrl(href);
+      // Strip tracking parameters, skipping the tracker when the redirect
+      // carries its destination
+      const cleaned = urlCleaner.cleanTrackedUrl(href, patterns);
+      if (cleaned) {
+        link.href = cleaned.url;
         link.setAttribute('data-armorly-cleaned', 'true');
-        stats.linksCleaned++;
+        const detail = { before: href, after: cleaned.url };
+        if (cleaned.redirector) {
+          detail.redirector = cleaned.redirector;
+        }
+        recordStat('linksCleaned', 'link', detail);
       }
 
       // Check if it's a known affiliate redirect domain
-      if (patterns.isAffiliateDomain(href)) {
+      if (patterns.isAffiliateDomain(link.href)) {
         link.setAttribute('data-armorly-affiliate', 'true');
       }
     });
   }
 
-  // =========================================================================
-  // 4. MUTATION OBSERVER (Watch for dynamic content)
-  // =========================================================================
-
   /**
-   * Set up observer to catch dynamically added ads
+   * Capture-phase click/auxclick: clean the link (or data-url target) the
+   * user is about to follow, after any mousedown handler has set its href
    */
-  function setupObserver() {
-    const observer = new MutationObserver((mutations) => {
-      let shouldScan = false;
-
-      for (const mutation of mutations) {
-        if (mutation.addedNodes.length > 0) {
-          shouldScan = true;
-          break;
+  function cleanAtNavigation(event) {
+    if (!linkCleaningEnabled()) {
+      return;
+    }
+    const onClean = recordCleaned('click');
+
+    for (const node of event.composedPath()) {
+      if (!node || node.nodeType !== Node.ELEMENT_NODE) {
+        continue;
+      }
+      if (node.matches('a[href], area[href]')) {
+        const cleaned = urlCleaner.cleanTrackedUrl(node.href, patterns);
+        if (cleaned) {
+          onClean(node.href, cleaned.url, cleaned.redirector);
+          node.href = cleaned.url;
+          node.setAttribute('data-armorly-cleaned', 'true');
+        }
+        return;
+      }
+      const attribute = URL_ATTRIBUTES.find(name => node.hasAttribute(name));
+      if (attribute) {
+        const before = node.getAttribute(attribute);
+        const cleaned = urlCleaner.cleanTrackedUrl(before, patterns);
+        if (cleaned) {
+          onClean(before, cleaned.url, cleaned.redirector);
+          node.setAttribute(attribute, cleaned.url);
         }
+        return;
       }
+    }
+  }
 
-      if (shouldScan) {
-        clearTimeout(window._armorlyScanTimeout);
-        window._armorlyScanTimeout = setTimeout(() => {
-          removeAdElements();
-          removeAdLabeledElements();
-          cleanAffiliateLinks();
-        }, 100);
+  /**
+   * Whether a selection starts inside an AI answer. Without a platform
+   * adapter answers can't be told apart, so any selection counts.
+   */
+  function isInAnswer(node) {
+    if (!adapter) {
+      return true;
+    }
+    const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    return Boolean(element && window.ArmorlyDom.closestDeep(element, adapter.message));
+  }
+
+  /**
+   * Clean tracked URLs in copied text. Runs in the bubble phase on window,
+   * after the page's own copy handlers: if the page wrote its own clipboard
+   * data that is cleaned, otherwise the selection is.
+   */
+  function cleanCopiedText(event) {
+    if (!event.clipboardData || !linkCleaningEnabled()) {
+      return;
+    }
+    const clipboardData = event.clipboardData;
+    const onClean = recordCleaned('copy');
+
+    if (event.defaultPrevented) {
+      const text = clipboardData.getData('text/plain');
+      const html = clipboardData.getData('text/html');
+      if (text) {
+        clipboardData.setData('text/plain', urlCleaner.cleanText(text, patterns, onClean));
       }
-    });
+      if (html) {
+        clipboardData.setData('text/html', urlCleaner.cleanHtml(html, patterns, onClean));
+      }
+      return;
+    }
 
-    if (document.body) {
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-    } else {
-      document.addEventListener('DOMContentLoaded', () => {
-        observer.observe(document.body, {
-          childList: true,
-          subtree: true
-        });
-      });
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !isInAnswer(selection.anchorNode)) {
+      return;
+    }
+
+    const container = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      container.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+    const text = selection.toString();
+    const html = container.innerHTML;
+    const cleanedText = urlCleaner.cleanText(text, patterns, onClean);
+    const cleanedHtml = urlCleaner.cleanHtml(html, patterns, onClean);
+
+    if (cleanedText !== text || cleanedHtml !== html) {
+      clipboardData.setData('text/plain', cleanedText);
+      clipboardData.setData('text/html', cleanedHtml);
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Answer page-hooks.js: clean the value it put on <html>
+   */
+  function handleCleanRequest() {
+    const root = document.documentElement;
+    const kind = root.getAttribute(CLEAN_KIND_ATTR);
+    const value = root.getAttribute(CLEAN_VALUE_ATTR);
+    if (value === null || !linkCleaningEnabled()) {
+      return;
+    }
+
+    let cleaned = value;
+    if (kind === 'url') {
+      const result = urlCleaner.cleanTrackedUrl(value, patterns);
+      if (result) {
+        recordCleaned('open')(value, result.url, result.redirector);
+        cleaned = result.url;
+      }
+    } else if (kind === 'text/plain') {
+      cleaned = urlCleaner.cleanText(value, patterns, recordCleaned('clipboard'));
+    } else if (kind === 'text/html') {
+      cleaned = urlCleaner.cleanHtml(value, patterns, recordCleaned('clipboard'));
+    }
+
+    if (cleaned !== value) {
+      root.setAttribute(CLEAN_VALUE_ATTR, cleaned);
+    }
+  }
+
+  /**
+   * Clean URLs at the moment they are used: clicks, copies, window.open
+   * and clipboard writes
+   */
+  function startNavigationCleaning() {
+    window.addEventListener('click', cleanAtNavigation, true);
+    window.addEventListener('auxclick', cleanAtNavigation, true);
+    window.addEventListener('copy', cleanCopiedText);
+    document.addEventListener(CLEAN_EVENT, handleCleanRequest);
+  }
+
+  /**
+   * Run every DOM scanner the site policy allows on `root`
+   */
+  function scanRoot(root) {
+    const { features } = sitePolicy();
+
+    if (features.adRemoval) {
+      removeAdElements(root);
+      removeAdLabeledElements(root);
+      if (adapter) {
+        runAdapterHeuristics(root);
+        if (commercialCards !== 'off') {
+          handleCommercialCards(root);
+        }
+      }
+    }
+
+    if (features.affiliateCleaning) {
+      cleanAffiliateLinks(root);
     }
   }
 
+  // =========================================================================
+  // 5. INCREMENTAL SCANNING (Watch for dynamic content)
+  // =========================================================================
+
+  // After the first full scan only added subtrees and elements whose
+  // ad-marking attributes change are scanned, within a per-batch budget
+  const scanner = window.ArmorlyScanScheduler.create({
+    name: 'ads',
+    scan: scanRoot,
+    maxDelay: 100,
+    enabled: () => sitePolicy().enabled,
+    attributeFilter: [
+      'class', 'href', 'data-sponsored', 'data-ad-provider', 'data-koah-ad', 'data-monetzly-ad'
+    ]
+  });
+
+  // =========================================================================
+  // 6. ELEMENT PICKER
+  // =========================================================================
+
+  // Element the last context menu was opened on, for "Block this element"
+  let contextTarget = null;
+
+  /**
+   * Save a picked selector as a hide rule for this site (in the filter
+   * list, where the options page can edit it) and apply it right away.
+   * Rejects with the reason when the rule can't be used, for the picker
+   * to show.
+   */
+  async function savePickedRule(selector) {
+    const filterList = window.ArmorlyFilterList;
+    const line = `${window.ArmorlySitePolicy.normalizeHost(pageHost)}##${selector}`;
+    const [problem] = filterList.parse(line).errors;
+    if (problem) {
+      throw new Error(problem.reason);
+    }
+
+    const result = await filterList.addRule(line);
+    patterns.setFilters(result);
+    if (!result.cosmetic.some(rule => rule.text === line)) {
+      throw new Error(`your filter rules are full (${filterList.MAX_RULES} rules); remove some on the options page`);
+    }
+    scanner.scanAll();
+  }
+
+  function startPicker(fromContextMenu) {
+    window.ArmorlyElementPicker.start({
+      initial: fromContextMenu ? contextTarget : null,
+      query: selector => window.ArmorlyDom.querySelectorAllDeep(selector, document),
+      onSave: savePickedRule
+    });
+  }
+
+  function listenForPicker() {
+    document.addEventListener('contextmenu', (event) => {
+      const [target] = event.composedPath();
+      contextTarget = target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+    }, true);
+
+    window.ArmorlyBrowser.onMessage('START_PICKER', message => {
+      startPicker(Boolean(message.fromContextMenu));
+      return { started: true };
+    });
+  }
+
+  // =========================================================================
+  // 7. DIAGNOSTIC REPORT
+  // =========================================================================
+
+  /**
+   * The page's side of the popup's "Report a problem" bundle: the policy
+   * decision, adapter, rule versions and a sanitized outline of the
+   * conversation pane (or the whole body without an adapter)
+   */
+  function buildReport(pack) {
+    const policy = sitePolicy();
+    const pane = adapter ? window.ArmorlyDom.querySelectorAllDeep(adapter.conversation, document)[0] : null;
+
+    return {
+      page: window.ArmorlyDiagnostics.sanitizeUrl(window.ArmorlySitePolicy.documentUrl()),
+      policy: {
+        enabled: policy.enabled,
+        source: policy.source,
+        rule: policy.rule,
+        features: policy.features
+      },
+      adapter: adapter ? { id: adapter.id, name: adapter.name } : null,
+      rules: {
+        version: patterns.version,
+        rulePack: pack ? { name: pack.name, version: pack.version } : null
+      },
+      outlineOf: pane ? adapter.conversation : 'body',
+      outline: window.ArmorlyDiagnostics.outline(pane || document.body || document.documentElement, patterns)
+    };
+  }
+
+  /**
+   * Answer the popup in every frame, including on sites Armorly skips -
+   * a missed ad there is worth reporting too
+   */
+  function listenForReport(pack) {
+    window.ArmorlyBrowser.onMessage('GET_REPORT', () => buildReport(pack));
+  }
+
   // =========================================================================
   // INITIALIZATION
   // =========================================================================
 
   function init() {
     // Log activation for debugging/screenshots
-    console.log('[Armorly] AI ad blocker active');
-    console.log('[Armorly] Blocking SDKs:', patterns.getAllSDKFunctions().slice(0, 10).join(', '), '...');
+    console.log('[Armorly] AI ad blocker active', adapter ? `(${adapter.name} adapter)` : '');
+
+    // Clean links when followed or copied, not only in the DOM
+    startNavigationCleaning();
 
-    // Block SDK globals (makes SDK objects unusable even if script loads)
-    blockAllAdSDKs();
+    // "Block an element" from the popup or context menu
+    listenForPicker();
+
+    // Hold candidate ad slots in streaming answers until classified
+    const streamingRule = patterns.getStreamingRule(pageHost);
+    if (streamingRule && sitePolicy().features.adRemoval) {
+      window.ArmorlyStreamGuard.start(streamingRule, scanRoot);
+    }
 
     // Initial scan when DOM is ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
-        removeAdElements();
-        removeAdLabeledElements();
-        cleanAffiliateLinks();
-        setupObserver();
+        scanner.scanAll();
+        scanner.start();
       });
     } else {
-      removeAdElements();
-      removeAdLabeledElements();
-      cleanAffiliateLinks();
-      setupObserver();
+      scanner.scanAll();
+      scanner.start();
     }
 
     // Also run on full page load (catches late-loading ads)
     window.addEventListener('load', () => {
-      setTimeout(() => {
-        removeAdElements();
-        removeAdLabeledElements();
-        cleanAffiliateLinks();
-      }, 500);
+      setTimeout(scanner.scanAll, 500);
     });
   }
 
-  // Run immediately
-  init();
+  const { orDefault } = window.ArmorlyStartup;
+
+  // Read user overrides, settings, the active rule pack and the filter
+  // list first so a "disable on this site" takes effect before any SDK is
+  // intercepted or any element removed, and the first scan already uses
+  // pack and filter list rules
+  Promise.all([
+    orDefault(() => window.ArmorlySitePolicy.loadOverrides(), [], 'site overrides'),
+    orDefault(() => window.ArmorlySettings.load(), Object.assign({}, window.ArmorlySettings.DEFAULTS), 'settings'),
+    orDefault(() => window.ArmorlyRulePacks.ready(), null, 'the rule pack'),
+    orDefault(() => window.ArmorlyFilterList.ready(), null, 'filter rules')
+  ]).then(([overrides, settings, pack]) => {
+    siteOverrides = overrides;
+    window.ArmorlySitePolicy.onOverridesChanged(updated => {
+      siteOverrides = updated;
+    });
+
+    neutralizer.setMode(settings.removalMode);
+    commercialCards = settings.commercialCards;
+    window.ArmorlySettings.onChanged(updated => {
+      neutralizer.setMode(updated.removalMode);
+      commercialCards = updated.commercialCards;
+    });
+
+    const enabled = sitePolicy().enabled;
+    window.ArmorlyActivity.sendToBackground({
+      type: 'FRAME_STATUS',
+      active: enabled,
+      adapter: adapter ? { id: adapter.id, name: adapter.name } : null
+    });
+    settleSdkInterception(sitePolicy().features.sdkInterception, pack ? pack.rules.sdks : null);
+    listenForReport(pack);
+
+    if (!enabled) {
+      stats.active = false;
+      console.log('[Armorly] Skipping non-AI site:', window.location.hostname);
+      return;
+    }
+
+    init();
+  }).catch(error => {
+    console.error('[Armorly] AI ad blocker failed to start:', error);
+  });
 
 })();
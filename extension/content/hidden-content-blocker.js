@@ -3,8 +3,24 @@
  *
  * Blocks prompt injection attacks hidden in invisible elements.
  * ONLY removes content that BOTH:
- *   1. Is hidden using suspicious techniques
- *   2. Contains known prompt injection patterns
+ *   1. Is hidden using suspicious techniques (see HIDING_TECHNIQUES)
+ *   2. Scores as a prompt injection (ArmorlyInjectionClassifier)
+ *
+ * Every removal is reported with the name of the hiding technique that
+ * fired (e.g. 'opacity-zero', 'clipped', 'pseudo-content').
+ *
+ * Channels that agents and "summarize this page" features read but users
+ * never see are checked too: alt/title/aria-label and data-* attributes,
+ * meta descriptions, <noscript> and JSON-LD structured data. There only
+ * the offending attribute or field is neutralized, never the element.
+ *
+ * Text is normalized (ArmorlyTextNormalizer) before matching, so zero-width
+ * characters, homoglyphs, fullwidth forms and bidi controls don't hide a
+ * payload. Invisible "ASCII smuggling" payloads are removed on their own.
+ *
+ * Pastes into a platform's chat input are checked too (ArmorlyPasteGuard):
+ * hidden fragments and invisible characters in the clipboard are offered
+ * for removal before the text reaches the AI.
  *
  * This is intentionally conservative to avoid breaking sites.
  */
@@ -13,140 +29,165 @@
   'use strict';
 
   // =========================================================================
-  // DOMAIN ALLOWLIST - Skip sites that are NOT AI chatbots
+  // SITE POLICY - Skip sites that are NOT AI chatbots
   // =========================================================================
 
-  const SKIP_DOMAINS = [
-    'mail.google.com',
-    'calendar.google.com',
-    'docs.google.com',
-    'sheets.google.com',
-    'slides.google.com',
-    'drive.google.com',
-    'meet.google.com',
-    'chat.google.com',
-    'contacts.google.com',
-    'keep.google.com',
-    'tasks.google.com',
-    'photos.google.com',
-    'youtube.com',
-    'www.youtube.com',
-    'music.youtube.com',
-    'github.com',
-    'gitlab.com',
-    'bitbucket.org',
-    'stackoverflow.com',
-    'reddit.com',
-    'twitter.com',
-    'facebook.com',
-    'instagram.com',
-    'linkedin.com',
-    'amazon.com',
-    'ebay.com',
-    'netflix.com',
-    'spotify.com'
-  ];
+  if (typeof window.ArmorlyStartup === 'undefined' || !window.ArmorlyStartup.hasLibs([
+    'ArmorlySitePolicy', 'ArmorlyActivity', 'ArmorlyNeutralizer', 'ArmorlyDom', 'ArmorlyScanScheduler',
+    'ArmorlySettings', 'ArmorlyTextNormalizer', 'ArmorlyInjectionClassifier', 'ArmorlyPasteGuard',
+    'ArmorlyRulePacks'
+  ])) {
+    return;
+  }
+
+  // User overrides from chrome.storage.sync and the active rule pack's
+  // injection phrases (loaded before init)
+  let siteOverrides = [];
 
-  // Check if we should skip this domain
-  const hostname = window.location.hostname.toLowerCase();
-  if (SKIP_DOMAINS.some(domain => hostname === domain || hostname.endsWith('.' + domain))) {
-    return; // Skip silently for hidden content blocker
+  /**
+   * Whether the site policy currently allows prompt injection scanning.
+   * Re-checked on every scan so SPA navigation picks up path rules.
+   */
+  function isShieldEnabled() {
+    return window.ArmorlySitePolicy.evaluate(window.ArmorlySitePolicy.documentUrl(), siteOverrides).features.promptInjection;
   }
 
   // =========================================================================
-  // PROMPT INJECTION PATTERNS (Required for removal)
+  // PROMPT INJECTION CLASSIFICATION (Required for removal)
   // =========================================================================
 
+  // Score at which text counts as an injection (settings.injectionThreshold)
+  let injectionThreshold = window.ArmorlyInjectionClassifier.DEFAULT_THRESHOLD;
+
   /**
-   * Check if text contains known prompt injection patterns
-   * This is the CRITICAL check - we only remove hidden content if it matches these
+   * Score normalized text with the injection classifier
    */
-  function containsPromptInjection(text) {
-    if (!text || text.length < 15) {
-      return false;
-    }
+  function scoreInjection(rawText) {
+    const text = window.ArmorlyTextNormalizer.normalize(rawText);
+    return window.ArmorlyInjectionClassifier.classify(text, injectionThreshold);
+  }
 
-    // Only match clear, unambiguous prompt injection attempts
-    const injectionPatterns = [
-      /ignore\s+(?:all\s+)?(?:previous|above|prior)\s+instructions/i,
-      /disregard\s+(?:all\s+)?(?:previous|above|prior)\s+instructions/i,
-      /forget\s+(?:all\s+)?(?:previous|above|prior)\s+instructions/i,
-      /you\s+are\s+now\s+(?:a|an|in)\s+/i,
-      /new\s+instructions?:\s*\S/i,
-      /\[SYSTEM\]:\s*\S/i,
-      /\[INST\]:\s*\S/i,
-      /roleplay\s+as\s+(?:a|an)\s+/i,
-      /pretend\s+(?:you\s+are|to\s+be)\s+(?:a|an)\s+/i,
-      /override\s+(?:your\s+)?(?:instructions|programming|rules)/i,
-      /jailbreak/i,
-      /DAN\s+mode/i,
-      /developer\s+mode\s+enabled/i
-    ];
-
-    return injectionPatterns.some(pattern => pattern.test(text));
+  /**
+   * Classify text as a prompt injection: the verdict ({ score, features })
+   * when it reaches the threshold, otherwise null.
+   * This is the CRITICAL check - we only remove hidden content that passes it
+   */
+  function classifyInjection(rawText) {
+    const verdict = scoreInjection(rawText);
+    return verdict.flagged ? verdict : null;
+  }
+
+  /**
+   * Log a removed injection for the popup's activity list, with the score
+   * and the classifier features that fired
+   */
+  function recordInjection(verdict, text, detail) {
+    const obfuscation = window.ArmorlyTextNormalizer.describeObfuscation(text);
+    window.ArmorlyActivity.record('injectionsRemoved', 'injection', Object.assign({
+      score: verdict.score,
+      features: verdict.features,
+      text: window.ArmorlyActivity.truncate(window.ArmorlyTextNormalizer.normalize(text)),
+      obfuscation: obfuscation.length > 0 ? obfuscation : undefined
+    }, detail));
   }
 
   // =========================================================================
   // HIDDEN ELEMENT DETECTION
   // =========================================================================
 
+  // Broad hiding techniques (display:none, aria-hidden, ...) are also used
+  // for whole app shells and closed panels. Only flag them on blocks small
+  // enough to be a planted payload, never on a hidden page section.
+  const MAX_BROADLY_HIDDEN_TEXT = 2000;
+
   /**
-   * Check if element uses deceptive hiding (not legitimate accessibility hiding)
+   * Hiding techniques, checked in order. Each test gets the element and its
+   * computed style and returns true if the element is hidden that way.
+   * `broad` techniques are subject to MAX_BROADLY_HIDDEN_TEXT.
    */
-  function isDeceptivelyHidden(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-      return false;
-    }
+  const HIDING_TECHNIQUES = [
+    { name: 'display-none', broad: true, test: (el, style) => style.display === 'none' },
+    { name: 'visibility-hidden', broad: true, test: (el, style) => style.visibility === 'hidden' || style.visibility === 'collapse' },
+    { name: 'aria-hidden', broad: true, test: (el) => el.getAttribute('aria-hidden') === 'true' },
+    { name: 'opacity-zero', broad: true, test: (el, style) => parseFloat(style.opacity) < 0.05 },
+    { name: 'font-size-zero', test: (el, style) => isZeroSizeWithContent(el, style) },
+    { name: 'transparent-text', test: (el, style) => isTransparentText(style) },
+    { name: 'white-on-white', test: (el, style) => isWhiteOnWhite(style) },
+    { name: 'dark-on-dark', test: (el, style) => isDarkOnDark(style) },
+    { name: 'off-screen', test: (el, style) => isOffScreen(style) },
+    { name: 'clipped', test: (el, style) => isClippedAway(style) },
+    { name: 'tiny-box', test: (el, style) => isTinyOverflowBox(style) }
+  ];
 
+  /**
+   * Check element for legitimate reasons to be hidden (scripts, screen
+   * reader content, live regions)
+   */
+  function isLegitimatelyHidden(element) {
     // Skip common legitimate hidden element patterns
     const tagName = element.tagName;
-    if (['SCRIPT', 'STYLE', 'META', 'LINK', 'NOSCRIPT', 'TEMPLATE'].includes(tagName)) {
-      return false;
+    if (['HEAD', 'TITLE', 'SCRIPT', 'STYLE', 'META', 'LINK', 'NOSCRIPT', 'TEMPLATE'].includes(tagName)) {
+      return true;
     }
 
     // Skip elements with accessibility roles (screen reader content is legitimate)
     const role = element.getAttribute('role');
     if (role === 'status' || role === 'alert' || role === 'log') {
-      return false;
+      return true;
     }
 
     // Skip elements with aria-live (accessibility announcements)
     if (element.hasAttribute('aria-live')) {
-      return false;
+      return true;
     }
 
     // Skip visually-hidden classes (legitimate accessibility pattern)
     const className = element.className || '';
     if (typeof className === 'string') {
       if (/sr-only|visually-hidden|screen-reader|a11y/i.test(className)) {
-        return false;
+        return true;
       }
     }
 
-    const style = window.getComputedStyle(element);
+    return false;
+  }
 
-    // Check for deceptive hiding techniques
-    return (
-      isWhiteOnWhite(style) ||
-      isZeroSizeWithContent(element, style)
+  /**
+   * Name of the deceptive hiding technique an element uses, or null
+   * (not hidden, or hidden for a legitimate accessibility reason).
+   * `style` defaults to the computed style; scans pass the one they already
+   * looked up, and pasted fragments that are not rendered pass their
+   * inline style.
+   */
+  function getHidingTechnique(element, knownStyle) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE || isLegitimatelyHidden(element)) {
+      return null;
+    }
+
+    const style = knownStyle || window.getComputedStyle(element);
+    const textLength = (element.textContent || '').length;
+
+    const technique = HIDING_TECHNIQUES.find(candidate =>
+      !(candidate.broad && textLength > MAX_BROADLY_HIDDEN_TEXT) && candidate.test(element, style)
     );
+
+    return technique ? technique.name : null;
   }
 
   /**
-   * White/same-color text on same-color background (classic prompt injection technique)
+   * Nearly identical text and (mostly opaque) background colors.
+   * Returns the text color, or null.
    */
-  function isWhiteOnWhite(style) {
-    const color = style.color;
-    const bgColor = style.backgroundColor;
-
-    const textColor = parseColor(color);
-    const backgroundColor = parseColor(bgColor);
+  function hasMatchingColors(style) {
+    const textColor = parseColor(style.color);
+    const backgroundColor = parseColor(style.backgroundColor);
 
-    if (!textColor || !backgroundColor) {
-      return false;
+    // A transparent background shows whatever is behind it, so the
+    // element's own colors say nothing about visibility
+    if (!textColor || !backgroundColor || textColor.a === 0 || backgroundColor.a < 0.5) {
+      return null;
     }
 
-    // Colors must be nearly identical AND both light (white-on-white style attack)
     const threshold = 15;
     const colorsMatch = (
       Math.abs(textColor.r - backgroundColor.r) < threshold &&
@@ -154,10 +195,33 @@
       Math.abs(textColor.b - backgroundColor.b) < threshold
     );
 
+    return colorsMatch ? textColor : null;
+  }
+
+  /**
+   * White/same-color text on same-color background (classic prompt injection technique)
+   */
+  function isWhiteOnWhite(style) {
+    const textColor = hasMatchingColors(style);
+
     // Only flag if colors match AND it's light colored (white-ish)
-    const isLight = (textColor.r + textColor.g + textColor.b) > 600;
+    return Boolean(textColor) && (textColor.r + textColor.g + textColor.b) > 600;
+  }
 
-    return colorsMatch && isLight;
+  /**
+   * Black/near-black text on the same dark background
+   */
+  function isDarkOnDark(style) {
+    const textColor = hasMatchingColors(style);
+    return Boolean(textColor) && (textColor.r + textColor.g + textColor.b) < 150;
+  }
+
+  /**
+   * color: transparent or a fully transparent rgba()
+   */
+  function isTransparentText(style) {
+    const textColor = parseColor(style.color);
+    return style.color === 'transparent' || (textColor !== null && textColor.a === 0);
   }
 
   /**
@@ -175,19 +239,90 @@
   }
 
   /**
-   * Parse CSS color to RGB values
+   * Absolutely positioned far outside the viewport, or pushed out with
+   * a huge negative text-indent
+   */
+  function isOffScreen(style) {
+    if (parseFloat(style.textIndent) <= -999) {
+      return true;
+    }
+    if (style.position !== 'absolute' && style.position !== 'fixed') {
+      return false;
+    }
+    return parseFloat(style.left) <= -999 || parseFloat(style.top) <= -999;
+  }
+
+  /**
+   * clip: rect(0 0 0 0) or a clip-path that leaves nothing visible
+   */
+  function isClippedAway(style) {
+    const clip = style.clip || '';
+    if (/rect\(\s*0(?:px)?[\s,]+0(?:px)?[\s,]+0(?:px)?[\s,]+0(?:px)?\s*\)/.test(clip)) {
+      return true;
+    }
+
+    const clipPath = style.clipPath || '';
+    return /inset\(\s*(?:50|100)%|circle\(\s*0(?:px|%)?\s*[a)]|polygon\(\s*0(?:px)?\s+0(?:px)?\s*\)/.test(clipPath);
+  }
+
+  /**
+   * 1px (or smaller) box that hides its overflowing text
+   */
+  function isTinyOverflowBox(style) {
+    const overflowHidden = ['hidden', 'clip'].includes(style.overflow) ||
+      (['hidden', 'clip'].includes(style.overflowX) && ['hidden', 'clip'].includes(style.overflowY));
+
+    return overflowHidden && parseFloat(style.width) <= 1 && parseFloat(style.height) <= 1;
+  }
+
+  // Replaced and void elements, which never render ::before / ::after
+  const NO_PSEUDO_ELEMENTS = [
+    'IMG', 'INPUT', 'BR', 'WBR', 'IFRAME', 'VIDEO', 'AUDIO', 'CANVAS', 'TEXTAREA', 'SELECT', 'OBJECT', 'EMBED'
+  ];
+
+  /**
+   * Text an element puts on the page through ::before / ::after content.
+   * Returns [{ pseudo, text }] for pseudo-elements with string content.
+   * `style` is the element's computed style: pseudo-elements are only
+   * looked up when the element itself is rendered.
+   */
+  function getPseudoContent(element, style) {
+    const found = [];
+    if (style.display === 'none' || NO_PSEUDO_ELEMENTS.includes(element.tagName)) {
+      return found;
+    }
+
+    ['::before', '::after'].forEach(pseudo => {
+      const content = window.getComputedStyle(element, pseudo).content;
+      if (!content || content === 'none' || content === 'normal') {
+        return;
+      }
+
+      // Computed content is a list of quoted strings (plus counters etc.)
+      const strings = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g);
+      if (strings) {
+        found.push({ pseudo, text: strings.map(str => str.slice(1, -1)).join('') });
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Parse CSS color to RGBA values (alpha defaults to 1)
    */
   function parseColor(colorStr) {
-    if (!colorStr || colorStr === 'transparent' || colorStr === 'rgba(0, 0, 0, 0)') {
+    if (!colorStr || colorStr === 'transparent') {
       return null;
     }
 
-    const rgbMatch = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    const rgbMatch = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?/);
     if (rgbMatch) {
       return {
         r: parseInt(rgbMatch[1], 10),
         g: parseInt(rgbMatch[2], 10),
-        b: parseInt(rgbMatch[3], 10)
+        b: parseInt(rgbMatch[3], 10),
+        a: rgbMatch[4] === undefined ? 1 : parseFloat(rgbMatch[4])
       };
     }
 
@@ -198,114 +333,612 @@
   // REMOVAL FUNCTIONS
   // =========================================================================
 
+  // How far up an added subtree's ancestors are checked for hiding (text
+  // streamed into an already-hidden container)
+  const MAX_ANCESTOR_DEPTH = 8;
+
   /**
-   * Scan and remove ONLY hidden content containing prompt injection
+   * Scan and remove ONLY hidden content containing prompt injection, in
+   * `root` and, for an added subtree, the hidden ancestors it lands in
    */
-  function removeHiddenPromptInjections() {
-    const allElements = document.querySelectorAll('*');
+  function removeHiddenPromptInjections(root) {
+    const allElements = window.ArmorlyDom.querySelectorAllDeep('*', root);
+
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      let ancestor = root.parentElement;
+      for (let depth = 0; ancestor && depth < MAX_ANCESTOR_DEPTH; depth++) {
+        if (!window.ArmorlyNeutralizer.isHandled(ancestor)) {
+          removeHiddenText(ancestor);
+        }
+        ancestor = ancestor.parentElement;
+      }
+    }
 
     allElements.forEach(element => {
-      // Must be deceptively hidden
-      if (!isDeceptivelyHidden(element)) {
+      // Restored by the user from the popup
+      if (window.ArmorlyNeutralizer.isHandled(element)) {
         return;
       }
 
-      const text = element.textContent || '';
-
-      // MUST contain prompt injection pattern to be removed
-      if (containsPromptInjection(text)) {
-        element.textContent = '';
+      if (isLegitimatelyHidden(element)) {
+        removeAttributeInjections(element);
+        return;
       }
+
+      // One style lookup per element, shared by both checks below
+      const style = window.getComputedStyle(element);
+
+      // Text planted in ::before / ::after content
+      getPseudoContent(element, style).forEach(({ pseudo, text }) => {
+        const verdict = classifyInjection(text);
+        if (verdict) {
+          window.ArmorlyNeutralizer.neutralizePseudoContent(element);
+          recordInjection(verdict, text, {
+            channel: 'css-content',
+            technique: 'pseudo-content',
+            element: window.ArmorlyActivity.describeElement(element) + pseudo
+          });
+        }
+      });
+
+      removeAttributeInjections(element);
+      removeHiddenText(element, style);
     });
   }
 
   /**
-   * Scan HTML comments for prompt injection
+   * Neutralize an element's text if it is deceptively hidden and classified
+   * as a prompt injection. `style` is its computed style, when the caller
+   * already has it.
    */
-  function removeInjectionComments() {
-    const walker = document.createTreeWalker(
-      document.documentElement,
-      NodeFilter.SHOW_COMMENT,
-      null,
-      false
-    );
+  function removeHiddenText(element, style) {
+    // Must be deceptively hidden
+    const technique = getHidingTechnique(element, style);
+    if (!technique) {
+      return;
+    }
 
-    const commentsToRemove = [];
-    let comment;
+    const text = element.textContent || '';
 
-    while ((comment = walker.nextNode())) {
-      const text = comment.textContent || '';
+    // MUST be classified as a prompt injection to be removed
+    const verdict = classifyInjection(text);
+    if (verdict) {
+      window.ArmorlyNeutralizer.neutralizeContent(element);
+      recordInjection(verdict, text, {
+        channel: 'hidden-text',
+        technique,
+        element: window.ArmorlyActivity.describeElement(element)
+      });
+      return;
+    }
 
-      // Only remove if it contains prompt injection
-      if (containsPromptInjection(text)) {
-        commentsToRemove.push(comment);
-      }
+    removeSplitInjection(element, technique);
+  }
+
+  // Longest run of hidden siblings joined when looking for a split payload
+  const MAX_SPLIT_SIBLINGS = 10;
+
+  /**
+   * Catch a payload split across hidden sibling spans ("ignore all" /
+   * "previous instructions"), which no single element matches
+   */
+  function removeSplitInjection(element, technique) {
+    const run = [element];
+    let sibling = element.nextElementSibling;
+
+    while (sibling && run.length < MAX_SPLIT_SIBLINGS && getHidingTechnique(sibling)) {
+      run.push(sibling);
+      sibling = sibling.nextElementSibling;
+    }
+
+    if (run.length < 2) {
+      return;
     }
 
-    commentsToRemove.forEach(comment => {
-      comment.remove();
+    const text = run.map(part => part.textContent || '').join(' ');
+    const verdict = classifyInjection(text);
+    if (verdict) {
+      run.forEach(part => window.ArmorlyNeutralizer.neutralizeContent(part));
+      recordInjection(verdict, text, {
+        channel: 'hidden-text',
+        technique: `${technique} (split across ${run.length} elements)`,
+        element: window.ArmorlyActivity.describeElement(element.parentElement)
+      });
+    }
+  }
+
+  // Attributes read by agents and screen readers but not shown on the page
+  const TEXT_ATTRIBUTES = ['alt', 'title', 'aria-label', 'aria-description', 'aria-roledescription'];
+
+  // Of those, the ones people see or hear as the element's label. One
+  // feature is not enough to take a label away from a visible element.
+  const LABEL_ATTRIBUTES = ['alt', 'title', 'aria-label'];
+
+  // Longer values are only scanned up to here, so a huge attribute can't
+  // stall normalization
+  const MAX_ATTRIBUTE_TEXT = 4000;
+
+  /**
+   * Whether an attribute verdict is strong enough to act on: labels of a
+   * visible element need two features, since one (e.g. "you are now
+   * in …") also fits an honest tooltip
+   */
+  function isAttributeInjection(element, name, verdict) {
+    return !LABEL_ATTRIBUTES.includes(name) || verdict.features.length >= 2 || Boolean(getHidingTechnique(element));
+  }
+
+  /**
+   * Neutralize injections in an element's alt/title/aria-* and data-*
+   * attributes. Only the offending attribute is removed.
+   */
+  function removeAttributeInjections(element) {
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name;
+      const isDataAttribute = name.startsWith('data-') && !name.startsWith('data-armorly-');
+
+      if (!isDataAttribute && !TEXT_ATTRIBUTES.includes(name)) {
+        return;
+      }
+
+      // Put back by the user from the popup
+      if (window.ArmorlyNeutralizer.isHandled(element, name)) {
+        return;
+      }
+
+      const channel = isDataAttribute ? 'data-attribute' : name;
+      const value = attribute.value.slice(0, MAX_ATTRIBUTE_TEXT);
+      const verdict = classifyInjection(value);
+      if (verdict && isAttributeInjection(element, name, verdict)) {
+        window.ArmorlyNeutralizer.neutralizeAttribute(element, name);
+        recordInjection(verdict, value, {
+          channel,
+          field: name,
+          element: window.ArmorlyActivity.describeElement(element)
+        });
+        return;
+      }
+
+      const smuggled = window.ArmorlyTextNormalizer.mayContainSmuggling(value) &&
+        window.ArmorlyTextNormalizer.findSmuggledPayload(value);
+      if (smuggled) {
+        window.ArmorlyNeutralizer.neutralizeAttribute(element, name);
+        recordSmuggledPayload(smuggled, {
+          channel,
+          field: name,
+          element: window.ArmorlyActivity.describeElement(element)
+        });
+      }
     });
   }
 
   // =========================================================================
-  // MUTATION OBSERVER
+  // ASCII SMUGGLING
   // =========================================================================
 
-  function setupObserver() {
-    const observer = new MutationObserver((mutations) => {
-      let shouldScan = false;
+  /**
+   * Log an invisible-character payload. The decoded text is what a model
+   * would read; it is scored but removed whatever the score.
+   */
+  function recordSmuggledPayload(smuggled, detail) {
+    recordInjection(scoreInjection(smuggled.decoded), smuggled.decoded || '(undecodable invisible payload)', Object.assign({
+      technique: 'ascii-smuggling',
+      encoding: smuggled.encoding
+    }, detail));
+  }
 
-      for (const mutation of mutations) {
-        if (mutation.addedNodes.length > 0) {
-          shouldScan = true;
-          break;
+  /**
+   * Strip invisible payloads (tag characters, variation-selector or
+   * zero-width runs) out of text nodes, leaving the visible text intact
+   */
+  function removeSmuggledText(root) {
+    const found = [];
+
+    window.ArmorlyDom.getRoots(root).forEach(scope => {
+      const walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT);
+      let node;
+
+      while ((node = walker.nextNode())) {
+        const text = node.data;
+        if (!window.ArmorlyTextNormalizer.mayContainSmuggling(text)) {
+          continue;
         }
-      }
 
-      if (shouldScan) {
-        clearTimeout(window._armorlyHiddenScanTimeout);
-        window._armorlyHiddenScanTimeout = setTimeout(() => {
-          removeHiddenPromptInjections();
-          removeInjectionComments();
-        }, 500);
+        const parent = node.parentElement;
+        if (!parent || parent.tagName === 'SCRIPT' || parent.tagName === 'STYLE' ||
+            window.ArmorlyNeutralizer.isHandled(node)) {
+          continue;
+        }
+
+        const payloads = [];
+        let cleaned = text;
+        let smuggled;
+        while ((smuggled = window.ArmorlyTextNormalizer.findSmuggledPayload(cleaned))) {
+          payloads.push(smuggled);
+          cleaned = cleaned.split(smuggled.run).join('');
+        }
+
+        if (payloads.length > 0) {
+          found.push({ node, cleaned, payloads });
+        }
       }
     });
 
-    if (document.body) {
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
+    // Modify after walking so the walker isn't disturbed
+    found.forEach(({ node, cleaned, payloads }) => {
+      window.ArmorlyNeutralizer.replaceText(node, cleaned);
+      payloads.forEach(smuggled => {
+        recordSmuggledPayload(smuggled, {
+          channel: 'text',
+          element: window.ArmorlyActivity.describeElement(node.parentElement)
+        });
       });
-    } else {
-      document.addEventListener('DOMContentLoaded', () => {
-        if (document.body) {
-          observer.observe(document.body, {
-            childList: true,
-            subtree: true
-          });
+    });
+  }
+
+  /**
+   * Neutralize injections in <meta> descriptions (description, og:*, twitter:*)
+   */
+  function removeMetaInjections(root) {
+    window.ArmorlyDom.querySelectorAllDeep('meta[content]', root).forEach(meta => {
+      if (window.ArmorlyNeutralizer.isHandled(meta, 'content')) {
+        return;
+      }
+
+      const content = meta.getAttribute('content');
+      const verdict = classifyInjection(content);
+      if (verdict) {
+        const field = meta.getAttribute('name') || meta.getAttribute('property') || 'content';
+        window.ArmorlyNeutralizer.neutralizeAttribute(meta, 'content');
+        recordInjection(verdict, content, {
+          channel: 'meta',
+          field,
+          element: window.ArmorlyActivity.describeElement(meta)
+        });
+      }
+    });
+  }
+
+  /**
+   * Neutralize injections in <noscript> fallback content, which scripting
+   * browsers never render but text extractors still read
+   */
+  function removeNoscriptInjections(root) {
+    window.ArmorlyDom.querySelectorAllDeep('noscript', root).forEach(noscript => {
+      if (window.ArmorlyNeutralizer.isHandled(noscript)) {
+        return;
+      }
+
+      const text = noscript.textContent || '';
+      const verdict = classifyInjection(text);
+      if (verdict) {
+        window.ArmorlyNeutralizer.neutralizeContent(noscript);
+        recordInjection(verdict, text, {
+          channel: 'noscript',
+          element: window.ArmorlyActivity.describeElement(noscript)
+        });
+      }
+    });
+  }
+
+  /**
+   * Blank every string field in parsed JSON that contains an injection.
+   * Returns [{ path, verdict, text }] for the fields it blanked.
+   */
+  function cleanJsonStrings(value, path, hits, depth) {
+    if (depth > 20 || value === null || typeof value !== 'object') {
+      return hits;
+    }
+
+    Object.keys(value).forEach(key => {
+      const fieldPath = Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`;
+      const field = value[key];
+
+      if (typeof field === 'string') {
+        const verdict = classifyInjection(field);
+        if (verdict) {
+          hits.push({ path: fieldPath, verdict, text: field });
+          value[key] = '';
         }
+      } else {
+        cleanJsonStrings(field, fieldPath, hits, depth + 1);
+      }
+    });
+
+    return hits;
+  }
+
+  /**
+   * Neutralize injections in JSON-LD structured data, field by field
+   */
+  function removeStructuredDataInjections(root) {
+    window.ArmorlyDom.querySelectorAllDeep('script[type="application/ld+json"]', root).forEach(script => {
+      if (window.ArmorlyNeutralizer.isHandled(script)) {
+        return;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch {
+        return; // Not valid JSON, nothing reads it as structured data
+      }
+
+      const hits = cleanJsonStrings(data, '$', [], 0);
+      if (hits.length === 0) {
+        return;
+      }
+
+      window.ArmorlyNeutralizer.replaceText(script, JSON.stringify(data));
+      hits.forEach(({ path, verdict, text }) => {
+        recordInjection(verdict, text, {
+          channel: 'json-ld',
+          field: path,
+          element: window.ArmorlyActivity.describeElement(script)
+        });
       });
+    });
+  }
+
+  /**
+   * Scan HTML comments for prompt injection
+   */
+  function removeInjectionComments(root) {
+    const commentsToRemove = [];
+
+    window.ArmorlyDom.getRoots(root).forEach(scope => {
+      const walker = document.createTreeWalker(scope, NodeFilter.SHOW_COMMENT, null, false);
+      let comment;
+
+      while ((comment = walker.nextNode())) {
+        const text = comment.textContent || '';
+
+        // Restored by the user from the popup
+        if (window.ArmorlyNeutralizer.isHandled(comment)) {
+          continue;
+        }
+
+        // Only remove if it contains prompt injection
+        const verdict = classifyInjection(text);
+        if (verdict) {
+          commentsToRemove.push({ comment, verdict, text });
+        }
+      }
+    });
+
+    commentsToRemove.forEach(({ comment, verdict, text }) => {
+      window.ArmorlyNeutralizer.neutralizeComment(comment);
+      recordInjection(verdict, text, { channel: 'comment', element: '<!-- comment -->' });
+    });
+  }
+
+  /**
+   * Run all injection scanners on `root` (the document, a shadow root or
+   * an added subtree)
+   */
+  function scanRoot(root) {
+    removeHiddenPromptInjections(root);
+    removeInjectionComments(root);
+    removeMetaInjections(root);
+    removeNoscriptInjections(root);
+    removeStructuredDataInjections(root);
+    removeSmuggledText(root);
+  }
+
+  // =========================================================================
+  // PASTE GUARD (content pasted into the chat input)
+  // =========================================================================
+
+  /**
+   * Hidden elements in a pasted HTML fragment, judged by their inline
+   * styles (browsers inline computed styles into copied HTML). The
+   * fragment is parsed into an inert <template>: nothing in it loads or runs.
+   * Returns { visibleText, fragments: [{ text, technique }] }.
+   */
+  function findHiddenFragments(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragments = [];
+
+    template.content.querySelectorAll('*').forEach(element => {
+      // Inside a fragment already found
+      if (fragments.some(fragment => fragment.element.contains(element))) {
+        return;
+      }
+      const technique = element.hasAttribute('hidden')
+        ? 'display-none'
+        : getHidingTechnique(element, element.style);
+      const text = technique ? element.textContent.trim() : '';
+      if (text) {
+        fragments.push({ element, text, technique });
+      }
+    });
+
+    fragments.forEach(fragment => fragment.element.remove());
+    template.content.querySelectorAll('script, style').forEach(element => element.remove());
+
+    return {
+      visibleText: template.content.textContent,
+      fragments: fragments.map(({ text, technique }) => ({ text, technique }))
+    };
+  }
+
+  /**
+   * End of `words` in `text` when they start at `start` with whitespace
+   * between them, or -1
+   */
+  function wordsEndAt(text, words, start) {
+    let index = start;
+    for (let i = 0; i < words.length; i++) {
+      if (i > 0) {
+        const gapStart = index;
+        while (index < text.length && /\s/.test(text[index])) {
+          index++;
+        }
+        if (index === gapStart) {
+          return -1;
+        }
+      }
+      if (!text.startsWith(words[i], index)) {
+        return -1;
+      }
+      index += words[i].length;
+    }
+    return index;
+  }
+
+  /**
+   * Remove the first occurrence of `fragment` from `text`, whatever
+   * whitespace the plain-text copy put between its words
+   */
+  function removeFragment(text, fragment) {
+    const words = fragment.split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return text;
+    }
+    for (let start = text.indexOf(words[0]); start !== -1; start = text.indexOf(words[0], start + 1)) {
+      const end = wordsEndAt(text, words, start);
+      if (end !== -1) {
+        return text.slice(0, start) + text.slice(end);
+      }
     }
+    return text;
+  }
+
+  /**
+   * Inspect a paste into the chat input. Returns null when it is clean,
+   * otherwise { original, cleaned, reasons, verdict, techniques }.
+   */
+  function analyzePaste(html, text) {
+    const normalizer = window.ArmorlyTextNormalizer;
+    const hidden = html ? findHiddenFragments(html) : { visibleText: '', fragments: [] };
+    const original = text || hidden.visibleText;
+    const reasons = [];
+
+    let cleaned = text
+      ? hidden.fragments.reduce((result, fragment) => removeFragment(result, fragment.text), text)
+      : hidden.visibleText;
+
+    const techniques = [...new Set(hidden.fragments.map(fragment => fragment.technique))];
+    const hiddenVerdict = hidden.fragments.map(fragment => classifyInjection(fragment.text)).find(Boolean);
+    if (hidden.fragments.length > 0) {
+      const one = hidden.fragments.length === 1;
+      reasons.push(`${hidden.fragments.length} hidden text fragment${one ? '' : 's'} (${techniques.join(', ')})` +
+        (hiddenVerdict ? ` that read${one ? 's' : ''} like instructions to an AI` : ''));
+    }
+
+    const smuggled = normalizer.findSmuggledPayload(cleaned);
+    if (smuggled) {
+      reasons.push(`Invisible encoded text (${smuggled.encoding})`);
+      techniques.push('ascii-smuggling');
+    }
+    cleaned = normalizer.stripInvisible(cleaned);
+
+    const visibleVerdict = classifyInjection(cleaned);
+    if (visibleVerdict) {
+      reasons.push(`Visible text that reads like a prompt injection (score ${visibleVerdict.score.toFixed(2)})`);
+    }
+
+    if (reasons.length === 0) {
+      return null;
+    }
+    const smuggledVerdict = smuggled && smuggled.decoded ? scoreInjection(smuggled.decoded) : null;
+    return {
+      original,
+      cleaned,
+      reasons,
+      techniques,
+      verdict: hiddenVerdict || visibleVerdict || smuggledVerdict
+    };
+  }
+
+  /**
+   * Log a paste the user chose to clean
+   */
+  function recordPasteDecision(choice, report) {
+    if (choice !== 'cleaned' || !report.verdict) {
+      return;
+    }
+    recordInjection(report.verdict, report.original, {
+      channel: 'paste',
+      technique: report.techniques.length > 0 ? report.techniques.join(', ') : undefined
+    });
+  }
+
+  /**
+   * Guard the chat input of the current platform, if its adapter names one
+   */
+  function startPasteGuard() {
+    const patterns = window.ArmorlyAdPatterns;
+    const adapter = patterns
+      ? patterns.getAdapter(new URL(window.ArmorlySitePolicy.documentUrl()).hostname)
+      : null;
+    if (!adapter || !adapter.input) {
+      return;
+    }
+
+    window.ArmorlyPasteGuard.start({
+      input: adapter.input,
+      enabled: isShieldEnabled,
+      analyze: analyzePaste,
+      onDecision: recordPasteDecision
+    });
   }
 
+  // =========================================================================
+  // INCREMENTAL SCANNING
+  // =========================================================================
+
+  // After the first full scan only added subtrees and elements whose hiding
+  // or text attributes change are scanned, within a per-batch budget
+  const scanner = window.ArmorlyScanScheduler.create({
+    name: 'injections',
+    scan: scanRoot,
+    maxDelay: 500,
+    enabled: isShieldEnabled,
+    attributeFilter: ['style', 'class', 'hidden', 'aria-hidden', 'content', ...TEXT_ATTRIBUTES]
+  });
+
   // =========================================================================
   // INITIALIZATION
   // =========================================================================
 
   function init() {
+    startPasteGuard();
+
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
-        removeHiddenPromptInjections();
-        removeInjectionComments();
-        setupObserver();
+        scanner.scanAll();
+        scanner.start();
       });
     } else {
-      removeHiddenPromptInjections();
-      removeInjectionComments();
-      setupObserver();
+      scanner.scanAll();
+      scanner.start();
     }
   }
 
-  init();
+  // A failed read starts the shield with default settings
+  const { orDefault } = window.ArmorlyStartup;
+  Promise.all([
+    orDefault(() => window.ArmorlySitePolicy.loadOverrides(), [], 'site overrides'),
+    orDefault(() => window.ArmorlySettings.load(), Object.assign({}, window.ArmorlySettings.DEFAULTS), 'settings'),
+    orDefault(() => window.ArmorlyRulePacks.ready(), null, 'the rule pack')
+  ]).then(([overrides, settings]) => {
+    siteOverrides = overrides;
+    injectionThreshold = settings.injectionThreshold;
+    window.ArmorlySitePolicy.onOverridesChanged(updated => {
+      siteOverrides = updated;
+    });
+    window.ArmorlySettings.onChanged(updated => {
+      injectionThreshold = updated.injectionThreshold;
+    });
+
+    if (!isShieldEnabled()) {
+      return; // Skip silently for hidden content blocker
+    }
+
+    init();
+  }).catch(error => {
+    console.error('[Armorly] Hidden content shield failed to start:', error);
+  });
 
 })();
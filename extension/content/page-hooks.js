@@ -0,0 +1,92 @@
+/**
+ * Armorly - Page Hooks (MAIN world)
+ *
+ * Runs in the page's own JavaScript world, where content scripts can't
+ * reach, to catch URLs that never pass through an a[href]:
+ * - window.open(url)
+ * - navigator.clipboard.writeText / write ("copy response" buttons)
+ *
+ * This script holds no rules. It hands each value to the isolated-world
+ * content script over a synchronous DOM bridge: the value is put on an
+ * attribute of <html>, a 'armorly-clean' event is dispatched (listeners in
+ * every world run before dispatchEvent returns), and the cleaned value is
+ * read back. If the content script isn't listening (site skipped, feature
+ * off) the value comes back unchanged.
+ */
+
+(function() {
+  'use strict';
+
+  const EVENT = 'armorly-clean';
+  const KIND_ATTR = 'data-armorly-clean-kind';
+  const VALUE_ATTR = 'data-armorly-clean-value';
+
+  const TEXT_TYPES = ['text/plain', 'text/html'];
+
+  /**
+   * Ask the content script to clean `value` ('url', 'text/plain' or
+   * 'text/html')
+   */
+  function clean(kind, value) {
+    const root = document.documentElement;
+    if (!root || typeof value !== 'string' || value === '') {
+      return value;
+    }
+    root.setAttribute(KIND_ATTR, kind);
+    root.setAttribute(VALUE_ATTR, value);
+    try {
+      document.dispatchEvent(new Event(EVENT));
+      return root.getAttribute(VALUE_ATTR) || value;
+    } finally {
+      root.removeAttribute(KIND_ATTR);
+      root.removeAttribute(VALUE_ATTR);
+    }
+  }
+
+  // =========================================================================
+  // window.open
+  // =========================================================================
+
+  const originalOpen = window.open;
+  if (typeof originalOpen === 'function') {
+    window.open = function(url, ...rest) {
+      const target = url === undefined || url === null ? url : clean('url', String(url));
+      return originalOpen.call(this, target, ...rest);
+    };
+  }
+
+  // =========================================================================
+  // CLIPBOARD API
+  // =========================================================================
+
+  const clipboard = navigator.clipboard;
+
+  if (clipboard && typeof clipboard.writeText === 'function') {
+    const originalWriteText = clipboard.writeText;
+    clipboard.writeText = function(text) {
+      return originalWriteText.call(this, clean('text/plain', String(text)));
+    };
+  }
+
+  if (clipboard && typeof clipboard.write === 'function' && typeof ClipboardItem === 'function') {
+    const originalWrite = clipboard.write;
+    clipboard.write = function(items) {
+      const cleanedItems = Array.from(items || []).map(item => {
+        if (!item.types.some(type => TEXT_TYPES.includes(type))) {
+          return item;
+        }
+        const data = {};
+        item.types.forEach(type => {
+          data[type] = TEXT_TYPES.includes(type)
+            ? item.getType(type)
+              .then(blob => blob.text())
+              .then(text => new Blob([clean(type, text)], { type }))
+            : item.getType(type);
+        });
+        return new ClipboardItem(data);
+      });
+      return originalWrite.call(this, cleanedItems);
+    };
+  }
+
+})();
@@ -0,0 +1,322 @@
+/**
+ * Armorly - SDK Interceptor (MAIN world)
+ *
+ * Ad SDKs are page scripts, so their globals live in the page's own
+ * JavaScript world. Traps set from a content script's isolated world are
+ * invisible to them, so interception runs here, at document_start, before
+ * any page script.
+ *
+ * For every SDK in ad-rules.js:
+ *   globals  - each path (`Koah`, or a nested namespace like `Luzia.ads`)
+ *              becomes an accessor on its owner. Reads return a callable
+ *              proxy that absorbs any call at any depth (`koah.sdk.init()`),
+ *              writes are kept aside. Traps sit on the global object
+ *              itself, so `window.X`, `self.X`, `globalThis.X` and a bare
+ *              `X` all hit them.
+ *   queues   - command-queue arrays (`window.monetzlyQueue.push(...)`)
+ *              read as an array that drops whatever is pushed.
+ * Globals that already exist are wrapped in place; ones that can't be
+ * redefined get their methods replaced instead.
+ *
+ * Each absorbed call is reported to the isolated-world content script
+ * with an 'armorly-sdk-blocked' event carrying the session token. It is
+ * dispatched on a channel element the content script takes out of the
+ * document before any page script runs, so the page can neither see the
+ * token nor report calls of its own.
+ *
+ * Switching off: the built-in site rules are evaluated right away (this
+ * script loads site-policy.js and ad-rules.js into the page and removes
+ * their globals again). User overrides arrive later from the content
+ * script as a single 'armorly-sdk-policy' event, signed with a token
+ * handed over before any page script could listen, so a page can't turn
+ * interception off itself. When interception is switched off, the values
+ * the page assigned show through again and queued commands are handed
+ * back. Calls absorbed before that are lost.
+ *
+ * The same event carries the SDKs of the active rule pack (rule-packs.js),
+ * which are trapped from then on like globals that already existed.
+ */
+
+(function() {
+  'use strict';
+
+  const rules = globalThis.ArmorlyAdRules;
+  const policy = globalThis.ArmorlySitePolicy;
+
+  // Rules and policy are for this script only, not for the page
+  delete globalThis.ArmorlyAdRules;
+  delete globalThis.ArmorlySitePolicy;
+
+  if (!rules || !rules.sdks || !policy) {
+    return;
+  }
+
+  const BLOCKED_EVENT = 'armorly-sdk-blocked';
+  const POLICY_EVENT = 'armorly-sdk-policy';
+  const READY_EVENT = 'armorly-sdk-ready';
+  const TOKEN_ATTR = 'data-armorly-sdk-token';
+  const CHANNEL_TAG = 'armorly-sdk-channel';
+
+  const token = Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(36)).join('');
+  const channel = document.createElement(CHANNEL_TAG);
+
+  let active = policy.evaluate(policy.documentUrl(), []).features.sdkInterception;
+
+  // Paths already trapped (a rule pack may list a built-in global again)
+  const trapped = new Set();
+
+  // Undo functions for queues, run when interception is switched off
+  const releases = [];
+
+  function report(sdk, method) {
+    channel.dispatchEvent(new CustomEvent(BLOCKED_EVENT, {
+      detail: JSON.stringify({ token, sdk, method })
+    }));
+  }
+
+  function isObject(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function');
+  }
+
+  // =========================================================================
+  // NEUTRALIZED VALUES
+  // =========================================================================
+
+  /**
+   * Callable proxy standing in for an SDK global. Every property is
+   * another such proxy, so `Koah.sdk.init()` resolves; every call is
+   * reported and returns a resolved promise. `then` stays undefined so
+   * `await Koah` doesn't hang.
+   */
+  function createSDKProxy(sdk, path) {
+    const children = new Map();
+
+    return new Proxy(function() {}, {
+      get(target, prop) {
+        if (typeof prop === 'symbol' || prop === 'then') {
+          return undefined;
+        }
+        if (prop === 'toString' || prop === 'valueOf') {
+          return () => '';
+        }
+        if (!children.has(prop)) {
+          children.set(prop, createSDKProxy(sdk, `${path}.${prop}`));
+        }
+        return children.get(prop);
+      },
+      set() {
+        return true;
+      },
+      defineProperty() {
+        return true;
+      },
+      deleteProperty() {
+        return true;
+      },
+      apply() {
+        report(sdk, path);
+        return Promise.resolve();
+      },
+      construct() {
+        report(sdk, path);
+        return createSDKProxy(sdk, path);
+      }
+    });
+  }
+
+  /**
+   * Array standing in for a command queue. Pushed commands are reported
+   * and held; `release(real)` hands them to the page's own queue.
+   */
+  function createBlockedQueue(sdk, name) {
+    const queue = [];
+    const held = [];
+
+    Object.defineProperty(queue, 'push', {
+      value: function(...commands) {
+        commands.forEach(command => {
+          held.push(command);
+          report(sdk, `${name}.push`);
+        });
+        return 0;
+      }
+    });
+
+    return {
+      queue,
+      release(real) {
+        if (held.length === 0) {
+          return real;
+        }
+        const target = Array.isArray(real) ? real : [];
+        target.push(...held.splice(0));
+        return target;
+      }
+    };
+  }
+
+  /**
+   * Replace known methods on an object that can't be trapped as a whole
+   * (a non-configurable global defined before Armorly ran)
+   */
+  function neuterMethods(sdk, name, object, methods) {
+    if (!isObject(object)) {
+      return;
+    }
+    methods.forEach(method => {
+      try {
+        const original = object[method];
+        if (typeof original === 'function') {
+          object[method] = function(...args) {
+            if (!active) {
+              return original.apply(this, args);
+            }
+            report(sdk, `${name}.${method}`);
+            return Promise.resolve();
+          };
+        }
+      } catch {
+        // Read-only method, nothing more we can do
+      }
+    });
+  }
+
+  // =========================================================================
+  // TRAPS
+  // =========================================================================
+
+  /**
+   * Trap `segments` (e.g. ['Luzia', 'ads']) below `owner`. Intermediate
+   * namespaces stay as the page set them, with the next segment trapped on
+   * whatever object is assigned. While interception is active the last
+   * segment reads as `blocked.value`; `blocked.release(real)`, if given,
+   * runs when it is switched off.
+   */
+  function trapPath(owner, segments, blocked) {
+    const [name, ...rest] = segments;
+    const existing = Object.getOwnPropertyDescriptor(owner, name);
+    let real;
+    try {
+      real = owner[name];
+    } catch {
+      real = undefined;
+    }
+
+    const descend = (value) => {
+      if (rest.length > 0 && isObject(value)) {
+        trapPath(value, rest, blocked);
+      }
+      return value;
+    };
+
+    if (existing && !existing.configurable) {
+      if (rest.length > 0) {
+        descend(real);
+      } else {
+        blocked.fallback(real);
+      }
+      return;
+    }
+
+    descend(real);
+
+    try {
+      Object.defineProperty(owner, name, {
+        configurable: true,
+        enumerable: existing ? existing.enumerable : false,
+        get() {
+          return rest.length === 0 && active ? blocked.value : real;
+        },
+        set(value) {
+          // `X = window.X || []` must not store our own stand-in
+          if (value !== blocked.value) {
+            real = descend(value);
+          }
+        }
+      });
+    } catch {
+      // Frozen or non-extensible owner
+      return;
+    }
+
+    if (rest.length === 0 && blocked.release) {
+      releases.push(() => {
+        real = blocked.release(real);
+      });
+    }
+  }
+
+  function trapGlobal(sdk, path) {
+    trapPath(globalThis, path.split('.'), {
+      value: createSDKProxy(sdk.name, path),
+      fallback: real => neuterMethods(sdk.name, path, real, sdk.methods)
+    });
+  }
+
+  function trapQueue(sdk, path) {
+    const blocked = createBlockedQueue(sdk.name, path);
+    trapPath(globalThis, path.split('.'), {
+      value: blocked.queue,
+      release: blocked.release,
+      fallback: real => neuterMethods(sdk.name, path, real, ['push'])
+    });
+  }
+
+  function install(sdks) {
+    Object.values(sdks).forEach(sdk => {
+      sdk.globals.filter(path => !trapped.has(path)).forEach(path => {
+        trapped.add(path);
+        trapGlobal(sdk, path);
+      });
+      (sdk.queues || []).filter(path => !trapped.has(path)).forEach(path => {
+        trapped.add(path);
+        trapQueue(sdk, path);
+      });
+    });
+  }
+
+  // =========================================================================
+  // POLICY HANDSHAKE
+  // =========================================================================
+
+  // Both worlds start before any page script. Whichever of the two runs
+  // second picks the channel (and the token on it) up: the content script
+  // finds it under <html>, or catches this event bubbling from it. Either
+  // way it removes the channel from the document. Without an <html> yet
+  // the token goes in the event alone, and calls are not reported.
+  channel.setAttribute(TOKEN_ATTR, token);
+  if (document.documentElement) {
+    document.documentElement.appendChild(channel);
+    channel.dispatchEvent(new CustomEvent(READY_EVENT, { bubbles: true, detail: token }));
+  } else {
+    document.dispatchEvent(new CustomEvent(READY_EVENT, { detail: token }));
+  }
+
+  document.addEventListener(POLICY_EVENT, function onPolicy(event) {
+    let message;
+    try {
+      message = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!message || message.token !== token) {
+      return;
+    }
+    document.removeEventListener(POLICY_EVENT, onPolicy);
+
+    active = Boolean(message.enabled);
+    if (active) {
+      install(rules.sdks);
+      if (isObject(message.sdks)) {
+        install(message.sdks);
+      }
+    } else {
+      releases.splice(0).forEach(release => release());
+    }
+  });
+
+  if (active) {
+    install(rules.sdks);
+  }
+
+})();
@@ -0,0 +1,110 @@
+/**
+ * Armorly - Activity Reporter
+ *
+ * Shared by both content scripts. Every action Armorly takes on a page is
+ * recorded with a timestamp and the detail needed to explain it (matched
+ * selector, ad label, URL before/after, SDK method, injection score).
+ * Entries and stat increments are batched and sent to the background
+ * service worker, which keeps the per-tab log shown in the popup.
+ *
+ * Entry kinds:
+ *   sdk        { sdk, method }                  SDK call neutralized
+ *   element    { selector } | { label, platform? } | { score, signals, flagged? },
+ *              element                          ad element removed (or flagged)
+ *   link       { before, after, redirector?, at? }
+ *                                               tracking stripped from a URL (or a redirect
+ *                                               unwrapped; at: click/copy/open/clipboard)
+ *   injection  { score, features, channel, technique?, field?, encoding?, obfuscation?, text }
+ *                                               prompt injection neutralized
+ *   request    { sdk, url, type }               ad SDK request blocked (logged by the
+ *                                               background worker, not from pages)
+ */
+
+(function() {
+  'use strict';
+
+  const FLUSH_DELAY = 250;
+  const MAX_PENDING_ENTRIES = 200;
+  const MAX_TEXT_LENGTH = 160;
+
+  const KINDS = ['sdk', 'element', 'link', 'injection', 'request'];
+
+  let pendingDelta = {};
+  let pendingEntries = [];
+  let flushTimeout = null;
+
+  /**
+   * Send a message to the background worker, ignoring failures
+   * (e.g. the extension was reloaded and this context is orphaned)
+   */
+  function sendToBackground(message) {
+    if (globalThis.ArmorlyBrowser) {
+      globalThis.ArmorlyBrowser.sendMessage(message);
+    }
+  }
+
+  function flush() {
+    flushTimeout = null;
+    const message = { type: 'ACTIVITY', delta: pendingDelta, entries: pendingEntries };
+    pendingDelta = {};
+    pendingEntries = [];
+    sendToBackground(message);
+  }
+
+  function truncate(text, max) {
+    const limit = max || MAX_TEXT_LENGTH;
+    const value = String(text);
+    return value.length > limit ? value.slice(0, limit - 1) + '…' : value;
+  }
+
+  /**
+   * Short CSS-like description of an element: div#id.class-a.class-b
+   */
+  function describeElement(element) {
+    if (!element || !element.tagName) {
+      return '';
+    }
+
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+      description += '#' + element.id;
+    }
+
+    const className = typeof element.className === 'string' ? element.className : '';
+    className.split(/\s+/).filter(Boolean).slice(0, 3).forEach(name => {
+      description += '.' + name;
+    });
+
+    return truncate(description, 80);
+  }
+
+  /**
+   * Record one action: bump `stat` and log an entry of `kind` with `detail`.
+   * Increments are batched so a burst of removals sends one message.
+   */
+  function record(stat, kind, detail) {
+    pendingDelta[stat] = (pendingDelta[stat] || 0) + 1;
+
+    if (pendingEntries.length < MAX_PENDING_ENTRIES) {
+      pendingEntries.push({
+        time: Date.now(),
+        kind,
+        frame: truncate(window.location.href, 120),
+        detail: detail || {}
+      });
+    }
+
+    if (flushTimeout === null) {
+      flushTimeout = setTimeout(flush, FLUSH_DELAY);
+    }
+  }
+
+  globalThis.ArmorlyActivity = {
+    KINDS,
+    record,
+    describeElement,
+    truncate,
+    sendToBackground
+  };
+
+})();
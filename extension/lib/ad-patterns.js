@@ -0,0 +1,545 @@
+/**
+ * Armorly - AI Ad Patterns Library
+ *
+ * Loader for the declarative ruleset in ad-rules.js. Validates the rules
+ * with ArmorlyRuleSchema, compiles string patterns into RegExps and exposes
+ * the pattern API the content scripts use as `window.ArmorlyAdPatterns`.
+ *
+ * If the ruleset is rejected, ArmorlyAdPatterns is left undefined and the
+ * content scripts stay inert instead of running half-broken rules.
+ *
+ * A rule pack (rule-packs.js) rebuilds the same object in place from the
+ * merged ruleset, so code holding ArmorlyAdPatterns sees pack rules too.
+ * The user's filter list (filter-list.js) is set with setFilters() and
+ * kept across those rebuilds.
+ */
+
+(function() {
+  'use strict';
+
+  // =========================================================================
+  // COMPILATION
+  // =========================================================================
+
+  function compileRegexList(sources) {
+    return sources.map(source => new RegExp(source, 'i'));
+  }
+
+  function compileSDKs(sdks) {
+    const compiled = {};
+    Object.keys(sdks).forEach(id => {
+      const sdk = sdks[id];
+      compiled[id] = {
+        name: sdk.name,
+        functions: [...sdk.globals],
+        methods: [...sdk.methods],
+        queues: [...(sdk.queues || [])],
+        scriptPatterns: compileRegexList(sdk.scriptPatterns),
+        domainPatterns: [...sdk.domains],
+        networkHosts: [...(sdk.network || [])]
+      };
+    });
+    return compiled;
+  }
+
+  function compileRedirectors(redirectors) {
+    const compiled = {};
+    Object.keys(redirectors).forEach(id => {
+      const redirector = redirectors[id];
+      compiled[id] = {
+        hosts: [...redirector.hosts],
+        paths: [...(redirector.paths || [])],
+        params: [...(redirector.params || [])],
+        pathPatterns: compileRegexList(redirector.pathPatterns || [])
+      };
+    });
+    return compiled;
+  }
+
+  // =========================================================================
+  // FILTER LIST MATCHING
+  // =========================================================================
+
+  const NO_FILTERS = { cosmetic: [], exceptions: [], removeParams: [] };
+
+  /**
+   * Whether `host` is `domain` or one of its subdomains. Never a substring
+   * match: "t.co" must not cover reddit.com.
+   */
+  function isHostOrSubdomain(host, domain) {
+    return host === domain || host.endsWith('.' + domain);
+  }
+
+  /**
+   * Whether `host` is covered by a filter list domain: the domain itself,
+   * a subdomain, or any TLD for an entity such as "example.*"
+   */
+  function hostMatches(host, domain) {
+    if (domain.endsWith('.*')) {
+      const name = domain.slice(0, -1);
+      return host.startsWith(name) || host.includes('.' + name);
+    }
+    return isHostOrSubdomain(host, domain);
+  }
+
+  /**
+   * Whether a filter rule's domain restrictions allow `host`
+   */
+  function appliesOn(rule, host) {
+    if (rule.excludedDomains.some(domain => hostMatches(host, domain))) {
+      return false;
+    }
+    return rule.domains.length === 0 || rule.domains.some(domain => hostMatches(host, domain));
+  }
+
+  /**
+   * Whether a removeparam rule covers parameter `name` with `value`.
+   * Regex rules test "name=value", as in uBlock Origin.
+   */
+  function paramMatches(rule, name, value) {
+    if (rule.match) {
+      return rule.match.test(`${name}=${value}`);
+    }
+    return rule.name === null || rule.name === name;
+  }
+
+  /**
+   * Build the pattern API from an already-validated ruleset
+   */
+  function createPatterns(rules) {
+    return {
+      version: rules.version,
+
+      adSDKs: compileSDKs(rules.sdks),
+
+      // Ad network -> { hosts?, selectors }
+      networkRules: rules.selectors,
+
+      // Platform id -> adapter (see `platforms` in ad-rules.js)
+      platformAdapters: rules.platforms,
+
+      adLabels: {
+        exact: [...rules.adLabels.exact],
+        patterns: compileRegexList(rules.adLabels.patterns)
+      },
+
+      affiliateParams: [...rules.affiliateParams],
+      affiliateDomains: [...rules.redirectDomains],
+      redirectors: compileRedirectors(rules.redirectors),
+      commercialDomains: [...rules.commercialDomains],
+
+      commercialIntent: {
+        cta: compileRegexList(rules.commercialIntent.cta),
+        urgency: compileRegexList(rules.commercialIntent.urgency),
+        discount: compileRegexList(rules.commercialIntent.discount)
+      },
+
+      productCards: {
+        price: compileRegexList(rules.productCards.price),
+        rating: compileRegexList(rules.productCards.rating),
+        buyButtons: compileRegexList(rules.productCards.buyButtons),
+        logos: compileRegexList(rules.productCards.logos)
+      },
+
+      // =======================================================================
+      // COMBINED SDK PATTERNS (for easy iteration)
+      // =======================================================================
+
+      /**
+       * Get all SDK function names to intercept
+       */
+      getAllSDKFunctions: function() {
+        const functions = [];
+        Object.values(this.adSDKs).forEach(sdk => {
+          functions.push(...sdk.functions);
+        });
+        return [...new Set(functions)];
+      },
+
+      /**
+       * Get all SDK script URL patterns
+       */
+      getAllScriptPatterns: function() {
+        const patterns = [];
+        Object.values(this.adSDKs).forEach(sdk => {
+          patterns.push(...sdk.scriptPatterns);
+        });
+        return patterns;
+      },
+
+      /**
+       * Get all SDK domains to block
+       */
+      getAllSDKDomains: function() {
+        const domains = [];
+        Object.values(this.adSDKs).forEach(sdk => {
+          domains.push(...sdk.domainPatterns);
+        });
+        return [...new Set(domains)];
+      },
+
+      /**
+       * SDK whose network hosts serve `url` ({ id, name }), or null
+       */
+      getNetworkSDK: function(url) {
+        let hostname;
+        try {
+          hostname = new URL(url).hostname.toLowerCase();
+        } catch {
+          return null;
+        }
+        const id = Object.keys(this.adSDKs).find(sdk =>
+          this.adSDKs[sdk].networkHosts.some(host => hostname === host || hostname.endsWith('.' + host))
+        );
+        return id ? { id, name: this.adSDKs[id].name } : null;
+      },
+
+      // =======================================================================
+      // HELPER FUNCTIONS
+      // =======================================================================
+
+      /**
+       * Check if a URL contains affiliate tracking parameters
+       */
+      hasAffiliateParams: function(url, pageHost) {
+        try {
+          return this.getTrackingParams(new URL(url), pageHost).length > 0;
+        } catch {
+          return false;
+        }
+      },
+
+      /**
+       * Names of the parameters in `urlObj` that cleaning removes: the
+       * built-in affiliate params plus the filter list's removeparam
+       * rules, minus its @@ exceptions. `pageHost` (the current page by
+       * default) scopes domain= options.
+       */
+      getTrackingParams: function(urlObj, pageHost) {
+        const host = (pageHost || (globalThis.location ? globalThis.location.hostname : '')).toLowerCase();
+        const href = urlObj.toString();
+        const filters = this.filters || NO_FILTERS;
+        const rules = filters.removeParams.filter(rule =>
+          (!rule.url || rule.url.test(href)) && appliesOn(rule, host)
+        );
+        const removing = rules.filter(rule => !rule.exception);
+        const keeping = rules.filter(rule => rule.exception);
+
+        const names = [];
+        urlObj.searchParams.forEach((value, name) => {
+          const tracked = this.affiliateParams.includes(name) ||
+            removing.some(rule => paramMatches(rule, name, value));
+          if (tracked && !keeping.some(rule => paramMatches(rule, name, value)) && !names.includes(name)) {
+            names.push(name);
+          }
+        });
+        return names;
+      },
+
+      /**
+       * Check if a URL is from a known affiliate domain
+       */
+      isAffiliateDomain: function(url) {
+        try {
+          const hostname = new URL(url).hostname.toLowerCase();
+          return this.affiliateDomains.some(domain => isHostOrSubdomain(hostname, domain));
+        } catch {
+          return false;
+        }
+      },
+
+      /**
+       * Check if a URL matches any AI ad SDK domain
+       */
+      isAdSDKDomain: function(url) {
+        try {
+          const hostname = new URL(url).hostname.toLowerCase();
+          return this.getAllSDKDomains().some(domain => isHostOrSubdomain(hostname, domain));
+        } catch {
+          return false;
+        }
+      },
+
+      /**
+       * Check if text contains ad labels
+       */
+      containsAdLabel: function(text) {
+        const lowerText = text.toLowerCase().trim();
+
+        // Check exact matches
+        if (this.adLabels.exact.some(label => lowerText.includes(label))) {
+          return true;
+        }
+
+        // Check regex patterns
+        return this.adLabels.patterns.some(pattern => pattern.test(text));
+      },
+
+      /**
+       * Calculate commercial intent score (0-100)
+       */
+      getCommercialIntentScore: function(text) {
+        let score = 0;
+
+        // CTA phrases (+15 each, max 45)
+        const ctaMatches = this.commercialIntent.cta.filter(p => p.test(text)).length;
+        score += Math.min(ctaMatches * 15, 45);
+
+        // Urgency language (+20 each, max 40)
+        const urgencyMatches = this.commercialIntent.urgency.filter(p => p.test(text)).length;
+        score += Math.min(urgencyMatches * 20, 40);
+
+        // Discount language (+10 each, max 30)
+        const discountMatches = this.commercialIntent.discount.filter(p => p.test(text)).length;
+        score += Math.min(discountMatches * 10, 30);
+
+        return Math.min(score, 100);
+      },
+
+      /**
+       * Platform adapter for a hostname (defaults to the current page), or
+       * null on sites no adapter covers
+       */
+      getAdapter: function(hostname) {
+        const host = (hostname || window.location.hostname).toLowerCase();
+        const id = Object.keys(this.platformAdapters).find(platform =>
+          this.platformAdapters[platform].hosts.some(domain => isHostOrSubdomain(host, domain))
+        );
+        if (!id) {
+          return null;
+        }
+
+        const adapter = this.platformAdapters[id];
+        return {
+          id,
+          name: adapter.name,
+          conversation: adapter.conversation,
+          message: adapter.message,
+          input: adapter.input || null,
+          streaming: adapter.streaming || null,
+          followUps: adapter.followUps || null,
+          followUpItem: adapter.followUpItem || null,
+          adSlots: [...adapter.adSlots],
+          candidateSlots: [...(adapter.candidateSlots || [])],
+          heuristics: [...(adapter.heuristics || [])]
+        };
+      },
+
+      /**
+       * Get all ad selectors for a hostname (defaults to the current page):
+       * every ad network's selectors plus the ad slots of the host's adapter.
+       * Network groups with `hosts` only apply on matching hosts.
+       */
+      getSelectorsForPlatform: function(hostname) {
+        const host = (hostname || window.location.hostname).toLowerCase();
+        let selectors = [];
+
+        Object.values(this.networkRules).forEach(network => {
+          if (!network.hosts || network.hosts.some(domain => isHostOrSubdomain(host, domain))) {
+            selectors = selectors.concat(network.selectors);
+          }
+        });
+
+        const adapter = this.getAdapter(host);
+        if (adapter) {
+          selectors = selectors.concat(adapter.adSlots);
+        }
+
+        // Plain cosmetic rules from the filter list; #@# exceptions also
+        // switch off built-in selectors
+        const filters = this.filters || NO_FILTERS;
+        filters.cosmetic.forEach(rule => {
+          if (!rule.hasText && appliesOn(rule, host)) {
+            selectors.push(rule.selector);
+          }
+        });
+        const excepted = this.getFilterExceptions(host);
+
+        return [...new Set(selectors)].filter(selector => !excepted.has(selector)); // Remove duplicates
+      },
+
+      /**
+       * Procedural filter list rules (`:has-text()`) for a hostname:
+       * [{ selector, text, rule }] where matching elements also need their
+       * text to match `text`
+       */
+      getTextFilters: function(hostname) {
+        const host = (hostname || window.location.hostname).toLowerCase();
+        const filters = this.filters || NO_FILTERS;
+        const excepted = this.getFilterExceptions(host);
+        return filters.cosmetic
+          .filter(rule => rule.hasText && appliesOn(rule, host) && !excepted.has(rule.key))
+          .map(rule => ({ selector: rule.selector, text: rule.hasText, rule: rule.key }));
+      },
+
+      /**
+       * Selectors switched off on a hostname by #@# exceptions
+       */
+      getFilterExceptions: function(hostname) {
+        const host = hostname.toLowerCase();
+        const filters = this.filters || NO_FILTERS;
+        return new Set(filters.exceptions.filter(rule => appliesOn(rule, host)).map(rule => rule.key));
+      },
+
+      /**
+       * Use a parsed filter list (see filter-list.js), or none with null
+       */
+      setFilters: function(filters) {
+        this.filters = filters || NO_FILTERS;
+      },
+
+      /**
+       * Streaming message rule from the host's adapter, or null. `slots`
+       * covers the adapter's candidate slots and every ad selector.
+       */
+      getStreamingRule: function(hostname) {
+        const host = (hostname || window.location.hostname).toLowerCase();
+        const adapter = this.getAdapter(host);
+        if (!adapter) {
+          return null;
+        }
+
+        return {
+          name: adapter.id,
+          message: adapter.message,
+          streaming: adapter.streaming,
+          slots: [...new Set(adapter.candidateSlots.concat(this.getSelectorsForPlatform(host)))]
+        };
+      },
+
+      /**
+       * Destination a redirector link points at, or null if `url` is not
+       * an unwrappable redirect. Nested redirects are followed a few
+       * levels deep. Returns { url, redirector } (the outermost redirector).
+       */
+      unwrapRedirect: function(url) {
+        let current = url;
+        let first = null;
+
+        for (let depth = 0; depth < 3; depth++) {
+          const step = this.unwrapOnce(current);
+          if (!step) {
+            break;
+          }
+          first = first || step.redirector;
+          current = step.url;
+        }
+        return first ? { url: current, redirector: first } : null;
+      },
+
+      /**
+       * One unwrapping step (see unwrapRedirect)
+       */
+      unwrapOnce: function(url) {
+        let urlObj;
+        try {
+          urlObj = new URL(url);
+        } catch {
+          return null;
+        }
+        const host = urlObj.hostname.toLowerCase();
+
+        for (const id of Object.keys(this.redirectors)) {
+          const redirector = this.redirectors[id];
+          if (!redirector.hosts.some(domain => host === domain || host.endsWith('.' + domain))) {
+            continue;
+          }
+          if (redirector.paths.length > 0 && !redirector.paths.some(prefix => urlObj.pathname.startsWith(prefix))) {
+            continue;
+          }
+
+          const candidates = redirector.params.map(param => urlObj.searchParams.get(param));
+          redirector.pathPatterns.forEach(pattern => {
+            const match = urlObj.pathname.match(pattern);
+            candidates.push(match ? match[1] : null);
+          });
+
+          for (const candidate of candidates) {
+            const destination = toDestination(candidate);
+            if (destination) {
+              return { url: destination, redirector: id };
+            }
+          }
+        }
+        return null;
+      },
+
+      /**
+       * Strip affiliate parameters from URL
+       */
+      cleanUrl: function(url, pageHost) {
+        try {
+          const urlObj = new URL(url);
+          this.getTrackingParams(urlObj, pageHost).forEach(param => {
+            urlObj.searchParams.delete(param);
+          });
+          return urlObj.toString();
+        } catch {
+          return url;
+        }
+      }
+    };
+  }
+
+  /**
+   * An http(s) URL from a redirect parameter: percent-encoded once more
+   * in paths, sometimes without a scheme (shareasale's urllink)
+   */
+  function toDestination(value) {
+    if (!value) {
+      return null;
+    }
+    let candidate = value.trim();
+    if (/^https?%3A/i.test(candidate)) {
+      try {
+        candidate = decodeURIComponent(candidate);
+      } catch {
+        return null;
+      }
+    }
+    if (!/^https?:\/\//i.test(candidate)) {
+      if (!/^(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+(?:[/?#]|$)/i.test(candidate)) {
+        return null;
+      }
+      candidate = 'https://' + candidate;
+    }
+    try {
+      const destination = new URL(candidate);
+      return destination.protocol === 'http:' || destination.protocol === 'https:' ? destination.toString() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // =========================================================================
+  // LOADER
+  // =========================================================================
+
+  /**
+   * Validate and compile a ruleset. Returns null if the rules are rejected.
+   */
+  function load(rules) {
+    const schema = globalThis.ArmorlyRuleSchema;
+    if (!schema) {
+      console.warn('[Armorly] Rule schema validator missing, refusing to load rules');
+      return null;
+    }
+
+    const result = schema.validate(rules);
+    if (!result.valid) {
+      console.warn('[Armorly] Rejected ad rules:', result.errors);
+      return null;
+    }
+
+    return createPatterns(rules);
+  }
+
+  globalThis.ArmorlyPatternLoader = { load };
+
+  const patterns = load(globalThis.ArmorlyAdRules);
+  if (patterns) {
+    // Expose patterns globally for content scripts
+    globalThis.ArmorlyAdPatterns = patterns;
+  }
+
+})();
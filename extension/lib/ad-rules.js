@@ -0,0 +1,565 @@
+/**
+ * Armorly - Built-in Ad Rules
+ *
+ * Declarative ruleset for AI-native advertising networks and SDKs.
+ * Pure data: no functions, no RegExp literals. Every pattern is a string
+ * that the loader (ad-patterns.js) compiles case-insensitively after the
+ * schema validator (rule-schema.js) has accepted the whole ruleset.
+ *
+ * Bump `version` whenever rules change so popups and bug reports can tell
+ * which ruleset a page was protected with.
+ */
+
+(function() {
+  'use strict';
+
+  globalThis.ArmorlyAdRules = {
+    schemaVersion: 2,
+    version: '2.7.0',
+
+    // =========================================================================
+    // AI AD SDKs (Alphabetical order)
+    // =========================================================================
+
+    // globals, methods and queues are intercepted in the page's world
+    // (content/sdk-interceptor.js):
+    //   globals  - globals or nested namespaces ('Koah', 'Luzia.ads') whose
+    //              calls are absorbed
+    //   methods  - replaced when a global can't be trapped as a whole
+    //   queues   - command-queue arrays whose pushed commands are dropped
+    //   network  - hosts serving the SDK script, ad requests and impression
+    //              beacons; blocked outright when network blocking is on
+    //              (opt-in, see background/service-worker.js)
+    // scriptPatterns and domains identify the SDK's scripts and servers.
+
+    sdks: {
+      // Google AdSense in chatbots
+      adsense: {
+        name: 'Google AdSense',
+        globals: [],
+        methods: ['push'],
+        queues: ['adsbygoogle'],
+        scriptPatterns: [
+          'pagead2\\.googlesyndication\\.com',
+          'adservice\\.google'
+        ],
+        domains: [
+          'pagead2.googlesyndication.com',
+          'adservice.google.com'
+        ],
+        network: [
+          'pagead2.googlesyndication.com',
+          'adservice.google.com'
+        ]
+      },
+
+      // Grok/X - Elon Musk's AI chatbot ads
+      grok: {
+        name: 'Grok/X',
+        globals: ['GrokAds', 'grokAds', 'XAds', 'xAds'],
+        methods: ['init', 'show', 'display', 'track', 'impression'],
+        scriptPatterns: [
+          'grok\\.x\\.com',
+          'ads\\.x\\.com',
+          'grok-ads',
+          'x-promoted'
+        ],
+        domains: [
+          'grok.x.com',
+          'ads.x.com'
+        ]
+      },
+
+      // Imprezia - Y Combinator backed AI ad network
+      imprezia: {
+        name: 'Imprezia',
+        globals: ['Imprezia', 'imprezia'],
+        methods: ['init', 'monetize', 'showAd', 'trackImpression', 'trackClick'],
+        queues: ['impreziaQueue'],
+        scriptPatterns: [
+          'imprezia\\.ai',
+          'imprezia\\.js',
+          'imprezia-sdk'
+        ],
+        domains: [
+          'imprezia.ai',
+          'api.imprezia.ai',
+          'sdk.imprezia.ai'
+        ],
+        network: [
+          'api.imprezia.ai',
+          'sdk.imprezia.ai'
+        ]
+      },
+
+      // Koah - $5M funded, serving ads in Luzia, Liner, DeepAI
+      koah: {
+        name: 'Koah',
+        globals: ['Koah', 'koah', 'KoahAds'],
+        methods: ['init', 'showAd', 'displayAd', 'trackImpression', 'trackClick', 'monetize'],
+        queues: ['koahQueue'],
+        scriptPatterns: [
+          'koah\\.io',
+          'koah\\.ai',
+          'koah-sdk',
+          'koah\\.js'
+        ],
+        domains: [
+          'koah.io',
+          'koah.ai',
+          'api.koah.io',
+          'sdk.koah.io'
+        ],
+        network: [
+          'api.koah.io',
+          'sdk.koah.io'
+        ]
+      },
+
+      // Monetzly - "Google Ads for AI conversations"
+      monetzly: {
+        name: 'Monetzly',
+        globals: ['Monetzly', 'monetzly', 'MonetzlyAds'],
+        methods: ['init', 'displayAd', 'monetize', 'showAd', 'trackImpression', 'trackClick'],
+        queues: ['monetzlyQueue'],
+        scriptPatterns: [
+          'monetzly\\.com',
+          'monetzly\\.io',
+          'monetzly-sdk',
+          'monetzly\\.js'
+        ],
+        domains: [
+          'monetzly.com',
+          'monetzly.io',
+          'api.monetzly.com',
+          'sdk.monetzly.com'
+        ],
+        network: [
+          'api.monetzly.com',
+          'sdk.monetzly.com'
+        ]
+      },
+
+      // Sponsored.so - Native AI ad platform
+      sponsoredso: {
+        name: 'Sponsored.so',
+        globals: ['Sponsored', 'sponsored', 'SponsoredAds', 'SponsoredSo'],
+        methods: ['init', 'show', 'display', 'track', 'impression', 'click'],
+        queues: ['sponsoredQueue'],
+        scriptPatterns: [
+          'sponsored\\.so',
+          'sponsored-sdk',
+          'sponsoredso'
+        ],
+        domains: [
+          'sponsored.so',
+          'api.sponsored.so',
+          'sdk.sponsored.so'
+        ],
+        network: [
+          'api.sponsored.so',
+          'sdk.sponsored.so'
+        ]
+      }
+    },
+
+    // =========================================================================
+    // PLATFORM-SPECIFIC AD SELECTORS
+    // =========================================================================
+
+    // NOTE: Selectors must be SPECIFIC to avoid false positives.
+    // Avoid broad patterns like [class*="ad-"] which match "grad-text", "header-ad", etc.
+    //
+    // These groups follow an ad network rather than a site, so they apply
+    // everywhere unless `hosts` (hostnames, subdomains included) narrows them. Ad slots
+    // belonging to one chatbot live in its platform adapter below.
+
+    selectors: {
+      // Generic patterns - ONLY very specific ad indicators
+      generic: {
+        selectors: [
+          '[data-ad-provider]',
+          '[data-sponsored="true"]',
+          '[data-promoted="true"]',
+          '[aria-label="Sponsored"]',
+          '[aria-label="Advertisement"]'
+        ]
+      },
+
+      // Koah-powered apps (Luzia, Liner, DeepAI)
+      koah: {
+        selectors: [
+          '[data-koah-ad]',
+          '[data-ad-provider="koah"]',
+          '.koah-ad-container',
+          '.koah-sponsored'
+        ]
+      },
+
+      // Monetzly-powered apps
+      monetzly: {
+        selectors: [
+          '[data-monetzly-ad]',
+          '[data-ad-provider="monetzly"]',
+          '.monetzly-ad',
+          '.monetzly-sponsored'
+        ]
+      },
+
+      // Sponsored.so-powered apps
+      sponsoredso: {
+        selectors: [
+          '[data-sponsored-so]',
+          '[data-ad-provider="sponsored.so"]',
+          '.sponsored-so-ad'
+        ]
+      }
+    },
+
+    // =========================================================================
+    // PLATFORM ADAPTERS
+    // =========================================================================
+
+    // One adapter per chatbot, picked by hostname (first match wins). Each
+    // one describes the parts of the page Armorly cares about:
+    //   name          - display name (shown in the popup)
+    //   hosts         - hostnames the adapter applies to, subdomains included
+    //   conversation  - the conversation pane; heuristics only look inside it
+    //   message       - an assistant message container
+    //   input         - the chat input (textarea or contenteditable); pastes
+    //                   into it are checked for hidden injections
+    //   streaming     - matches the message (or an element inside it) while it
+    //                   is still streaming; without it, a message counts as
+    //                   streaming until it stops changing
+    //   followUps     - container of suggested follow-up questions
+    //   followUpItem  - one suggestion inside it (default: direct children)
+    //   adSlots       - known ad slots, always removed on this platform
+    //   candidateSlots - slots that may carry an ad; held hidden inside a
+    //                   streaming message until it has been classified
+    //                   (adSlots are always candidates too)
+    //   heuristics    - extra detectors to run (see HEURISTICS in rule-schema.js)
+
+    platforms: {
+      chatgpt: {
+        name: 'ChatGPT',
+        hosts: ['chatgpt.com', 'chat.openai.com'],
+        conversation: 'main',
+        input: '#prompt-textarea',
+        message: '[data-message-author-role="assistant"]',
+        streaming: '.result-streaming, .streaming-animation',
+        followUps: '[data-testid="follow-up-suggestions"]',
+        followUpItem: 'button',
+        adSlots: [
+          '[data-testid="shopping-card"]',
+          '[data-testid="product-recommendation"]',
+          '.chatgpt-sponsored',
+          '.openai-ad'
+        ],
+        candidateSlots: [
+          '[data-testid*="product-carousel"]'
+        ],
+        heuristics: ['labeled-follow-ups']
+      },
+
+      perplexity: {
+        name: 'Perplexity',
+        hosts: ['perplexity.ai'],
+        conversation: 'main',
+        input: 'textarea, #ask-input',
+        message: '[id^="markdown-content"]',
+        streaming: '[data-is-streaming="true"]',
+        followUps: '[data-testid="related-questions"], .related-questions',
+        adSlots: [
+          '[data-testid="sponsored-question"]',
+          '.sponsored-followup',
+          '.pplx-sponsored'
+        ],
+        candidateSlots: [
+          '[data-testid*="shopping"]',
+          '[data-testid*="product-card"]'
+        ],
+        heuristics: ['labeled-follow-ups']
+      },
+
+      // Grok runs both on grok.com and inside X, where promoted posts are
+      // the ad slots outside the chat
+      grok: {
+        name: 'Grok',
+        hosts: ['grok.com', 'x.com', 'twitter.com'],
+        conversation: 'main',
+        input: 'textarea',
+        message: '[data-testid="grok-response"], .response-content-markdown',
+        followUps: '[data-testid="grok-suggestions"], .follow-up-suggestions',
+        adSlots: [
+          '[data-testid="promotedIndicator"]',
+          '[data-testid="promotedTweet"]',
+          '.promoted-tweet',
+          '.grok-ad-container',
+          '.grok-sponsored-content'
+        ],
+        heuristics: ['labeled-follow-ups']
+      },
+
+      gemini: {
+        name: 'Gemini',
+        hosts: ['gemini.google.com'],
+        conversation: 'chat-window, main',
+        input: 'rich-textarea [contenteditable="true"], .ql-editor',
+        message: 'model-response, message-content',
+        followUps: 'suggestion-chips, .suggestions-container',
+        adSlots: [
+          '[data-test-id="sponsored-card"]'
+        ],
+        heuristics: ['labeled-follow-ups']
+      },
+
+      copilot: {
+        name: 'Copilot',
+        hosts: ['copilot.microsoft.com'],
+        conversation: 'main, cib-serp',
+        input: '#userInput, textarea',
+        message: '[data-content="ai-message"], cib-message[source="bot"]',
+        followUps: '[data-testid="suggestion-chips"], cib-suggestion-bar',
+        adSlots: [
+          '[data-testid="ad-card"]',
+          '[data-content="ad-message"]'
+        ],
+        heuristics: ['labeled-follow-ups']
+      },
+
+      claude: {
+        name: 'Claude',
+        hosts: ['claude.ai'],
+        conversation: 'main',
+        input: '.ProseMirror[contenteditable="true"]',
+        message: '.font-claude-message',
+        streaming: '[data-is-streaming="true"]',
+        adSlots: []
+      },
+
+      poe: {
+        name: 'Poe',
+        hosts: ['poe.com'],
+        conversation: 'main',
+        input: 'textarea',
+        message: '[class*="Message_botMessageBubble"]',
+        followUps: '[class*="ChatMessageFollowupActions"]',
+        adSlots: [
+          '[class*="SponsoredMessage"]'
+        ],
+        heuristics: ['labeled-follow-ups']
+      }
+    },
+
+    // =========================================================================
+    // AD LABEL PATTERNS (FTC-required disclosure)
+    // =========================================================================
+
+    adLabels: {
+      // Exact matches (case-insensitive) - ONLY clear ad indicators
+      exact: [
+        'sponsored',
+        'sponsored by',
+        'advertisement',
+        'promoted',
+        'paid partnership',
+        'paid promotion'
+      ],
+
+      // Regex patterns for variations/obfuscation attempts - CONSERVATIVE
+      patterns: [
+        '\\bsponsored\\b',
+        '\\bsp[o0]ns[o0]red\\b',  // Obfuscation: sp0nsored
+        '\\badvertisement\\b',
+        '\\bpromoted\\s+(?:content|post|result)\\b',
+        '\\bpaid\\s+(?:partnership|promotion)\\b',
+        '\\bin\\s+partnership\\s+with\\b',
+        '\\bbrought\\s+to\\s+you\\s+by\\b'
+      ]
+    },
+
+    // =========================================================================
+    // AFFILIATE/TRACKING LINK PATTERNS
+    // =========================================================================
+
+    affiliateParams: [
+      'utm_source',
+      'utm_medium',
+      'utm_campaign',
+      'utm_content',
+      'utm_term',
+      'ref',
+      'aff',
+      'affiliate',
+      'partner_id',
+      'partner',
+      'tracking_id',
+      'click_id',
+      'campaign_id',
+      'source',
+      'tag'  // Amazon affiliate
+    ],
+
+    redirectDomains: [
+      'amzn.to',
+      'bit.ly',
+      't.co',
+      'geni.us',
+      'rstyle.me',
+      'shopstyle.it',
+      'go.redirectingat.com',
+      'anrdoezrs.net',
+      'awin1.com',
+      'tkqlhce.com',
+      'jdoqocy.com',
+      'dpbolvw.net',
+      'kqzyfj.com',
+      'commission-junction.com',
+      'shareasale.com',
+      'pjatr.com',
+      'pjtra.com',
+      'pntrac.com',
+      'pntrs.com',
+      'go.skimresources.com',
+      'redirect.viglink.com',
+      'click.linksynergy.com'
+    ],
+
+    // Redirectors that carry the real destination in the URL, so links can
+    // skip the tracker. `params` are query parameters holding the target;
+    // `pathPatterns` capture it from the path (first group). `paths`
+    // limits a redirector to URLs under these path prefixes. Shorteners
+    // such as amzn.to or bit.ly hide the target server-side and are only
+    // marked (see redirectDomains).
+    redirectors: {
+      skimlinks: {
+        hosts: ['go.skimresources.com', 'go.redirectingat.com'],
+        params: ['url']
+      },
+      sovrn: {
+        hosts: ['redirect.viglink.com'],
+        params: ['u', 'out']
+      },
+      awin: {
+        hosts: ['awin1.com'],
+        params: ['ued', 'p']
+      },
+      cj: {
+        hosts: ['anrdoezrs.net', 'tkqlhce.com', 'jdoqocy.com', 'dpbolvw.net', 'kqzyfj.com'],
+        params: ['url'],
+        pathPatterns: ['/links/[^/]+/type/dlg/(?:sid/[^/]+/)?(https?(?::|%3A).+)$']
+      },
+      shareasale: {
+        hosts: ['shareasale.com'],
+        params: ['urllink']
+      },
+      pepperjam: {
+        hosts: ['pjatr.com', 'pjtra.com', 'pntrac.com', 'pntrs.com'],
+        params: ['url']
+      },
+      rakuten: {
+        hosts: ['click.linksynergy.com'],
+        params: ['murl', 'RD_PARM1']
+      },
+      amazon: {
+        hosts: ['amazon.com', 'amazon.co.uk', 'amazon.de'],
+        paths: ['/gp/redirect.html'],
+        params: ['location']
+      }
+    },
+
+    // Known commercial/booking domains often used in AI ads
+    commercialDomains: [
+      'booking.com',
+      'trip.com',
+      'expedia.com',
+      'hotels.com',
+      'airbnb.com',
+      'vrbo.com',
+      'kayak.com',
+      'tripadvisor.com',
+      'agoda.com',
+      'hostelworld.com',
+      'skyscanner.com'
+    ],
+
+    // =========================================================================
+    // COMMERCIAL INTENT SIGNALS (for scoring, not blocking)
+    // =========================================================================
+
+    commercialIntent: {
+      // Call-to-action phrases
+      cta: [
+        '\\bbook\\s+now\\b',
+        '\\bsign\\s+up\\b',
+        '\\bget\\s+started\\b',
+        '\\blearn\\s+more\\b',
+        '\\bshop\\s+now\\b',
+        '\\bbuy\\s+now\\b',
+        '\\bclick\\s+here\\b',
+        '\\bvisit\\s+(?:our\\s+)?(?:site|website)\\b',
+        '\\buse\\s+code\\b',
+        '\\bpromo\\s+code\\b'
+      ],
+
+      // Urgency language
+      urgency: [
+        '\\blimited\\s+time\\b',
+        '\\bexclusive\\s+(?:offer|deal)\\b',
+        '\\btoday\\s+only\\b',
+        '\\bwhile\\s+supplies\\s+last\\b',
+        '\\bdont\\s+miss\\b',
+        '\\bhurry\\b',
+        '\\bact\\s+now\\b'
+      ],
+
+      // Discount language
+      discount: [
+        '\\b\\d+%\\s+off\\b',
+        '\\bsave\\s+\\$?\\d+',
+        '\\bdiscount\\b',
+        '\\bcoupon\\b',
+        '\\bpromo\\b',
+        '\\bfree\\s+shipping\\b',
+        '\\bspecial\\s+offer\\b'
+      ]
+    },
+
+    // =========================================================================
+    // PRODUCT CARD SIGNALS (scored by commerce-detector.js, for unlabeled cards)
+    // =========================================================================
+
+    productCards: {
+      // Prices in a few common notations
+      price: [
+        '[$€£¥₹]\\s?\\d[\\d,.]*',
+        '\\b\\d[\\d,.]*\\s?(?:usd|eur|gbp|dollars|euros)\\b',
+        '\\bfrom\\s+\\$\\d'
+      ],
+
+      // Star ratings and review counts
+      rating: [
+        '[★⭐]',
+        '\\b[0-5](?:\\.\\d)?\\s?(?:/\\s?5|out\\s+of\\s+5|stars?)\\b',
+        '\\(\\d[\\d,.]*k?\\s+(?:reviews|ratings)\\)'
+      ],
+
+      // Text of purchase buttons (on top of commercialIntent.cta)
+      buyButtons: [
+        '^\\s*(?:buy|shop|order)\\b',
+        '\\badd\\s+to\\s+(?:cart|basket|bag)\\b',
+        '\\b(?:view|see|get)\\s+(?:deal|offer|price)s?\\b',
+        '\\bcheck\\s+(?:price|availability)\\b'
+      ],
+
+      // Merchant logo images (matched against src, alt and class)
+      logos: [
+        '\\blogo\\b',
+        '\\bmerchant\\b',
+        '\\bretailer\\b',
+        'favicon'
+      ]
+    }
+  };
+
+})();
@@ -0,0 +1,97 @@
+/**
+ * Armorly - Browser Compatibility
+ *
+ * The extension messaging layer, written once for Chromium and Firefox.
+ * Both browsers provide the `chrome` namespace with promise-returning
+ * methods under Manifest V3, so storage, tabs and action calls are made
+ * directly. Messaging is where they differ:
+ *   - Firefox lets a listener answer by returning a promise; Chromium
+ *     needs sendResponse() plus `return true`. onMessage() takes a handler
+ *     that returns a value or a promise and does both.
+ *   - Sending to a tab or background nobody listens in rejects, with a
+ *     different error in each browser. sendMessage() and sendToTab()
+ *     resolve to null instead.
+ *
+ * Loaded before the scripts that message: isolated-world content scripts,
+ * the popup and the background (importScripts() in Chromium's service
+ * worker, background.scripts on Firefox).
+ */
+
+(function() {
+  'use strict';
+
+  // Firefox exposes both namespaces; `browser` is its native one
+  const api = typeof browser !== 'undefined' && browser.runtime ? browser
+    : typeof chrome !== 'undefined' && chrome.runtime ? chrome
+    : null;
+
+  const isFirefox = Boolean(api && api.runtime.getURL && api.runtime.getURL('').startsWith('moz-extension:'));
+
+  /**
+   * Answer messages of one `type`. `handler(message, sender)` returns the
+   * response, or a promise of it; other types are left to other listeners.
+   */
+  function onMessage(type, handler) {
+    if (!api || !api.runtime.onMessage) {
+      return;
+    }
+    api.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || message.type !== type) {
+        return false;
+      }
+
+      let response;
+      try {
+        response = handler(message, sender);
+      } catch (error) {
+        console.error(`[Armorly] ${type} handler failed:`, error);
+        return false;
+      }
+
+      if (response && typeof response.then === 'function') {
+        response.then(sendResponse, error => {
+          console.error(`[Armorly] ${type} handler failed:`, error);
+          sendResponse(null);
+        });
+        return true;
+      }
+      sendResponse(response);
+      return false;
+    });
+  }
+
+  /**
+   * Send to the extension's background and pages; resolves to the
+   * response, or null when nothing answered or the extension was reloaded
+   */
+  function sendMessage(message) {
+    if (!api || !api.runtime.sendMessage) {
+      return Promise.resolve(null);
+    }
+    try {
+      return api.runtime.sendMessage(message).then(response => response ?? null, () => null);
+    } catch {
+      // Extension context invalidated
+      return Promise.resolve(null);
+    }
+  }
+
+  /**
+   * Send to the content scripts of a tab (`options.frameId` for a single
+   * frame); resolves to null when none are running there
+   */
+  function sendToTab(tabId, message, options = {}) {
+    if (!api || !api.tabs) {
+      return Promise.resolve(null);
+    }
+    return api.tabs.sendMessage(tabId, message, options).then(response => response ?? null, () => null);
+  }
+
+  globalThis.ArmorlyBrowser = {
+    isFirefox,
+    onMessage,
+    sendMessage,
+    sendToTab
+  };
+
+})();
@@ -0,0 +1,196 @@
+/**
+ * Armorly - Commerce Detector
+ *
+ * Shopping cards in AI answers often carry no "Sponsored" label and no
+ * ad-network class, so neither the selectors nor the label scan catch them.
+ * This module scores candidate cards inside an assistant message on the
+ * signals such cards share:
+ *
+ *   affiliate-link   links through a known affiliate redirect domain
+ *   merchant-link    links to a known booking/shopping domain
+ *   price            a price or currency amount
+ *   rating           star ratings or review counts
+ *   merchant-logo    a logo image (src/alt/class)
+ *   buy-button       a button or link reading "Buy", "View deal", ...
+ *   repeated         one of several siblings with the same structure
+ *                    (carousels, product grids)
+ *
+ * Weights add up (capped at 100). No single signal reaches THRESHOLD, so
+ * a price in a sentence or a plain list of sources is never flagged.
+ * The patterns come from `productCards` in ad-rules.js.
+ */
+
+(function() {
+  'use strict';
+
+  const THRESHOLD = 60;
+
+  const WEIGHTS = {
+    'affiliate-link': 35,
+    'merchant-link': 15,
+    'price': 25,
+    'rating': 10,
+    'merchant-logo': 10,
+    'buy-button': 20,
+    'repeated': 15
+  };
+
+  // Cards are short; longer blocks are prose
+  const MAX_CARD_TEXT = 600;
+
+  const BUTTON_SELECTOR = 'button, [role="button"], a[href]';
+
+  // =========================================================================
+  // CANDIDATES
+  // =========================================================================
+
+  /**
+   * Tag plus sorted class list, to spot repeated sibling structures
+   */
+  function signature(element) {
+    const className = typeof element.className === 'string' ? element.className : '';
+    return element.tagName + '.' + className.trim().split(/\s+/).sort().join('.');
+  }
+
+  function isCardSized(element) {
+    const length = element.textContent.trim().length;
+    return length > 0 && length <= MAX_CARD_TEXT;
+  }
+
+  /**
+   * Candidate cards in `scope` as a Map(card -> repeated?): children of
+   * repeating groups that hold a link or button, plus anything matching
+   * `slotSelectors` (the platform's candidate slots)
+   */
+  function findCandidates(scope, slotSelectors) {
+    const candidates = new Map();
+
+    const containers = [scope, ...scope.querySelectorAll('*')];
+    containers.forEach(container => {
+      const groups = new Map();
+      Array.from(container.children).forEach(child => {
+        if (!isCardSized(child) || !child.querySelector(BUTTON_SELECTOR)) {
+          return;
+        }
+        const key = signature(child);
+        groups.set(key, (groups.get(key) || []).concat(child));
+      });
+      groups.forEach(members => {
+        if (members.length >= 2) {
+          members.forEach(member => candidates.set(member, true));
+        }
+      });
+    });
+
+    if (slotSelectors && slotSelectors.length > 0) {
+      scope.querySelectorAll(slotSelectors.join(', ')).forEach(slot => {
+        if (!candidates.has(slot) && isCardSized(slot)) {
+          candidates.set(slot, false);
+        }
+      });
+    }
+    return candidates;
+  }
+
+  // =========================================================================
+  // SCORING
+  // =========================================================================
+
+  function matchesAny(regexes, text) {
+    return regexes.some(regex => regex.test(text));
+  }
+
+  function hostnameOf(href) {
+    try {
+      return new URL(href).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Score one card. Returns { score, signals }.
+   */
+  function scoreCard(card, repeated, patterns) {
+    const signals = [];
+    const text = card.textContent;
+    const cards = patterns.productCards;
+
+    const links = Array.from(card.querySelectorAll('a[href]'));
+    if (card.matches('a[href]')) {
+      links.push(card);
+    }
+
+    if (links.some(link => patterns.isAffiliateDomain(link.href))) {
+      signals.push('affiliate-link');
+    } else if (links.some(link => {
+      const host = hostnameOf(link.href);
+      return patterns.commercialDomains.some(domain => host === domain || host.endsWith('.' + domain));
+    })) {
+      signals.push('merchant-link');
+    }
+
+    if (matchesAny(cards.price, text)) {
+      signals.push('price');
+    }
+    if (matchesAny(cards.rating, text)) {
+      signals.push('rating');
+    }
+
+    const logo = Array.from(card.querySelectorAll('img')).some(img => {
+      const className = typeof img.className === 'string' ? img.className : '';
+      return matchesAny(cards.logos, [img.getAttribute('src') || '', img.alt, className].join(' '));
+    });
+    if (logo) {
+      signals.push('merchant-logo');
+    }
+
+    const buttons = Array.from(card.querySelectorAll(BUTTON_SELECTOR));
+    const buyButton = buttons.some(button => {
+      const label = button.textContent.trim();
+      return label.length > 0 && label.length <= 40 &&
+        (matchesAny(cards.buyButtons, label) || matchesAny(patterns.commercialIntent.cta, label));
+    });
+    if (buyButton) {
+      signals.push('buy-button');
+    }
+
+    if (repeated) {
+      signals.push('repeated');
+    }
+
+    const score = Math.min(100, signals.reduce((total, signal) => total + WEIGHTS[signal], 0));
+    return { score, signals };
+  }
+
+  /**
+   * Cards in `scope` (an assistant message) scoring at or above THRESHOLD,
+   * outermost first: [{ card, score, signals }]. `skip(card)` excludes
+   * cards already handled.
+   */
+  function findCommercialCards(scope, patterns, slotSelectors, skip) {
+    const results = [];
+    findCandidates(scope, slotSelectors).forEach((repeated, card) => {
+      if (skip && skip(card)) {
+        return;
+      }
+      const { score, signals } = scoreCard(card, repeated, patterns);
+      if (score >= THRESHOLD) {
+        results.push({ card, score, signals });
+      }
+    });
+
+    // A flagged card inside another flagged card is covered by its parent
+    return results.filter(result =>
+      !results.some(other => other !== result && other.card.contains(result.card))
+    );
+  }
+
+  globalThis.ArmorlyCommerceDetector = {
+    THRESHOLD,
+    WEIGHTS,
+    scoreCard,
+    findCommercialCards
+  };
+
+})();
@@ -0,0 +1,39 @@
+/**
+ * Armorly - Content Script Startup
+ *
+ * Shared by both content scripts. Each one checks that the libraries it
+ * needs loaded before doing anything, and reads its stored state
+ * (overrides, settings, the active rule pack) through orDefault() so a
+ * failed read starts it with defaults instead of leaving the frame
+ * unprotected.
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Whether every global in `names` (e.g. 'ArmorlyDom') is defined. A
+   * library that failed to load, or an extension updated under the page,
+   * leaves one missing; the content script then does nothing.
+   */
+  function hasLibs(names) {
+    return names.every(name => typeof globalThis[name] !== 'undefined');
+  }
+
+  /**
+   * Result of `load()`, or `fallback` if it throws or rejects (e.g. the
+   * extension was updated under this page). `what` names it in the warning.
+   */
+  function orDefault(load, fallback, what) {
+    return new Promise(resolve => resolve(load())).catch(error => {
+      console.warn(`[Armorly] Could not load ${what}, using defaults:`, error);
+      return fallback;
+    });
+  }
+
+  globalThis.ArmorlyStartup = {
+    hasLibs,
+    orDefault
+  };
+
+})();
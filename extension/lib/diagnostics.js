@@ -0,0 +1,189 @@
+/**
+ * Armorly - Diagnostics
+ *
+ * Helpers for the popup's "Report a problem" bundle, which the user
+ * downloads and attaches to an issue themselves. Pages Armorly runs on
+ * are often logged-in chats, so nothing here copies page content:
+ *   - outline() describes a DOM subtree as one line per node: tag, id,
+ *     classes, data-* and role attributes, Armorly's own markers and link
+ *     hosts. Id-like ids and attribute values become ':id' and free text
+ *     its length, except short text that is an ad label (the part a bug
+ *     report needs).
+ *   - sanitizeUrl() drops query strings, fragments and id-like path
+ *     segments (conversation ids).
+ *   - sanitizeActivity() does the same for the tab's activity log: frame
+ *     URLs are sanitized, link and request URLs reduced to host and
+ *     parameter names, and injected text to its length.
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_NODES = 3000;
+  const MAX_DEPTH = 40;
+  const MAX_ATTRIBUTE_LENGTH = 40;
+
+  // Ad labels are short; longer text is never kept
+  const MAX_LABEL_LENGTH = 50;
+
+  // Subtrees that carry no layout worth reporting
+  const SKIPPED_CHILDREN = ['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe'];
+
+  // Path segments that identify a conversation or account rather than a page
+  const ID_SEGMENT = /^(?=[^/]*\d)[0-9a-z_-]{8,}$/i;
+
+  // Attribute values that name a state or type rather than say anything
+  const TOKEN = /^[0-9a-z_-]*$/i;
+
+  /**
+   * `https://chat.example/c/6f1e...?q=secret#x` -> `https://chat.example/c/:id`
+   */
+  function sanitizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const path = parsed.pathname.split('/').map(segment => ID_SEGMENT.test(segment) ? ':id' : segment).join('/');
+      return parsed.protocol.startsWith('http') ? parsed.origin + path : parsed.protocol;
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Link target without anything personal: host, plus the query parameter
+   * names (tracking parameters are what link bugs are about)
+   */
+  function describeHref(href) {
+    try {
+      const url = new URL(href, document.baseURI);
+      const params = Array.from(new Set(url.searchParams.keys()));
+      return url.protocol.startsWith('http')
+        ? url.host + '/…' + (params.length > 0 ? '?' + params.join('&') : '')
+        : url.protocol;
+    } catch {
+      return '…';
+    }
+  }
+
+  /**
+   * Copy of activity log entries ({ time, kind, frame, detail }) that is
+   * safe to put in the bundle
+   */
+  function sanitizeActivity(entries) {
+    return entries.map(entry => {
+      const detail = Object.assign({}, entry.detail);
+      ['before', 'after', 'url'].forEach(key => {
+        if (typeof detail[key] === 'string') {
+          detail[key] = describeHref(detail[key]);
+        }
+      });
+      if (typeof detail.text === 'string') {
+        detail.text = `(${detail.text.length} chars)`;
+      }
+      return Object.assign({}, entry, { frame: sanitizeUrl(entry.frame), detail });
+    });
+  }
+
+  function clip(value) {
+    return value.length > MAX_ATTRIBUTE_LENGTH ? value.slice(0, MAX_ATTRIBUTE_LENGTH) + '…' : value;
+  }
+
+  /**
+   * An id or attribute value as far as it is safe to report: short tokens
+   * ("true", "sponsored-card") as they are, id-like ones (message or
+   * account ids) as ':id', and anything else by its length
+   */
+  function redact(value) {
+    if (ID_SEGMENT.test(value)) {
+      return ':id';
+    }
+    return TOKEN.test(value) && value.length <= MAX_ATTRIBUTE_LENGTH ? value : `(${value.length} chars)`;
+  }
+
+  function describeElement(element) {
+    let line = element.localName;
+    if (element.id) {
+      line += '#' + redact(element.id);
+    }
+    Array.from(element.classList).forEach(name => {
+      line += '.' + clip(name);
+    });
+
+    element.getAttributeNames().forEach(name => {
+      if (name.startsWith('data-') || name === 'role' || name === 'hidden') {
+        line += ` [${name}="${redact(element.getAttribute(name))}"]`;
+      } else if (name.startsWith('aria-')) {
+        // Labels can quote the conversation
+        line += ` [${name}]`;
+      } else if (name === 'href' && element.localName === 'a') {
+        line += ` [href="${describeHref(element.getAttribute('href'))}"]`;
+      }
+    });
+    if (element.shadowRoot) {
+      line += ' (open shadow root)';
+    }
+    return line;
+  }
+
+  function describeText(text, patterns) {
+    const value = text.trim();
+    if (!value) {
+      return null;
+    }
+    if (value.length <= MAX_LABEL_LENGTH && patterns && patterns.containsAdLabel(value)) {
+      return `"${value}" (ad label)`;
+    }
+    return `#text (${value.length} chars)`;
+  }
+
+  /**
+   * Sanitized outline of `root` (an element or shadow root) as an array of
+   * indented lines. `patterns` (ArmorlyAdPatterns) decides which text is
+   * an ad label; without it all text is redacted.
+   */
+  function outline(root, patterns) {
+    const lines = [];
+    let truncated = false;
+
+    function visit(node, depth) {
+      if (lines.length >= MAX_NODES) {
+        truncated = true;
+        return;
+      }
+      const indent = '  '.repeat(depth);
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = describeText(node.textContent, patterns);
+        if (text) {
+          lines.push(indent + text);
+        }
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+        return;
+      }
+
+      const isElement = node.nodeType === Node.ELEMENT_NODE;
+      lines.push(indent + (isElement ? describeElement(node) : '#shadow-root'));
+      if ((isElement && SKIPPED_CHILDREN.includes(node.localName)) || depth >= MAX_DEPTH) {
+        return;
+      }
+      if (isElement && node.shadowRoot) {
+        visit(node.shadowRoot, depth + 1);
+      }
+      node.childNodes.forEach(child => visit(child, depth + 1));
+    }
+
+    visit(root, 0);
+    if (truncated) {
+      lines.push(`… (stopped after ${MAX_NODES} nodes)`);
+    }
+    return lines;
+  }
+
+  globalThis.ArmorlyDiagnostics = {
+    sanitizeUrl,
+    sanitizeActivity,
+    outline
+  };
+
+})();
@@ -0,0 +1,177 @@
+/**
+ * Armorly - DOM Traversal
+ *
+ * Web-component chat UIs render messages inside shadow roots, where
+ * document.querySelectorAll and an observer on document.body never look.
+ * The content scripts query and observe through this module instead, so
+ * every open shadow root is covered:
+ *
+ * - getRoots() lists the document and every open shadow root below it,
+ *   once per task for a given root
+ * - querySelectorAllDeep() runs a selector in all of them, and
+ *   closestDeep() walks up out of them
+ * - observe() watches the document and each shadow root, attaching to new
+ *   roots as their hosts are added (or as later scans find them)
+ *
+ * Closed shadow roots are unreachable from content scripts by design.
+ * Same-origin child frames run their own copy of the content scripts
+ * (match_origin_as_fallback covers about:blank and srcdoc frames), and the
+ * background worker sums every frame into the tab's stats.
+ */
+
+(function() {
+  'use strict';
+
+  const OBSERVER_OPTIONS = { childList: true, subtree: true };
+
+  // Observers registered with observe() as { observer, options }, and the
+  // roots they already watch
+  const observers = [];
+  const watchedRoots = new WeakSet();
+
+  // getRoots() results for the current task, by starting root. A scan runs
+  // dozens of selectors over the same root; the shadow roots under it are
+  // found once and reused. Cleared in a microtask, so nothing the page
+  // attaches later is missed.
+  let rootsCache = null;
+
+  /**
+   * Start watching a shadow root with every registered observer
+   */
+  function watchRoot(root) {
+    if (watchedRoots.has(root)) {
+      return;
+    }
+    watchedRoots.add(root);
+    observers.forEach(({ observer, options }) => observer.observe(root, options));
+  }
+
+  /**
+   * Open shadow roots under `node` (inclusive), depth-first
+   */
+  function collectShadowRoots(node, roots) {
+    if (node.nodeType === Node.ELEMENT_NODE && node.shadowRoot) {
+      roots.push(node.shadowRoot);
+      collectShadowRoots(node.shadowRoot, roots);
+    }
+
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    let element;
+    while ((element = walker.nextNode())) {
+      if (element.shadowRoot) {
+        roots.push(element.shadowRoot);
+        collectShadowRoots(element.shadowRoot, roots);
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * The document (or `root`) followed by every open shadow root inside it.
+   * Roots found here are picked up by the observers too.
+   */
+  function getRoots(root) {
+    const start = root || document;
+    if (!rootsCache) {
+      rootsCache = new Map();
+      queueMicrotask(() => {
+        rootsCache = null;
+      });
+    }
+
+    let roots = rootsCache.get(start);
+    if (!roots) {
+      const shadowRoots = collectShadowRoots(start, []);
+      shadowRoots.forEach(watchRoot);
+      roots = [start, ...shadowRoots];
+      rootsCache.set(start, roots);
+    }
+    // Hosts removed from the page earlier in the scan take their shadow
+    // roots with them
+    return start.isConnected ? roots.filter(scope => !scope.host || scope.host.isConnected) : roots;
+  }
+
+  /**
+   * querySelectorAll across the document (or `root`, itself included when
+   * it is an element) and all open shadow roots inside it
+   */
+  function querySelectorAllDeep(selector, root) {
+    const matches = getRoots(root).flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+    if (root && root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+      matches.unshift(root);
+    }
+    return matches;
+  }
+
+  /**
+   * Element.closest() that continues past shadow roots into their hosts
+   */
+  function closestDeep(element, selector) {
+    let node = element;
+    while (node) {
+      const match = node.closest(selector);
+      if (match) {
+        return match;
+      }
+      const root = node.getRootNode();
+      node = root && root.host ? root.host : null;
+    }
+    return null;
+  }
+
+  /**
+   * Scope to walk for text or comments in a root: the body for the
+   * document (once it exists), the root itself for shadow roots and
+   * elements
+   */
+  function walkScope(root) {
+    if (root === document) {
+      return document.body || document.documentElement;
+    }
+    return root;
+  }
+
+  /**
+   * Call `callback(mutations)` for DOM changes in the document body and in
+   * every open shadow root, including roots attached later. `extraOptions`
+   * adds to the childList/subtree observation (e.g. attributeFilter).
+   */
+  function observe(callback, extraOptions) {
+    const options = Object.assign({}, OBSERVER_OPTIONS, extraOptions);
+    const observer = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            collectShadowRoots(node, []).forEach(watchRoot);
+          }
+        });
+      });
+      callback(mutations);
+    });
+
+    const start = () => {
+      observer.observe(document.body || document.documentElement, options);
+      collectShadowRoots(document, []).forEach(root => {
+        watchedRoots.add(root);
+        observer.observe(root, options);
+      });
+      observers.push({ observer, options });
+    };
+
+    if (document.body) {
+      start();
+    } else {
+      document.addEventListener('DOMContentLoaded', start);
+    }
+    return observer;
+  }
+
+  globalThis.ArmorlyDom = {
+    getRoots,
+    querySelectorAllDeep,
+    closestDeep,
+    walkScope,
+    observe
+  };
+
+})();
@@ -0,0 +1,446 @@
+/**
+ * Armorly - Element Picker
+ *
+ * Lets the user point at an ad Armorly missed and turn it into a hide
+ * rule on the spot. Hovering highlights the element under the pointer; a
+ * click selects it and opens a small panel with:
+ *   - a suggested selector (editable), built from data-* attributes,
+ *     stable ids and classes rather than generated class hashes
+ *   - a preview outlining everything else the selector matches
+ *   - Parent / Pick again / Block / Cancel
+ * Escape cancels at any point. Saving is up to the caller.
+ */
+
+(function() {
+  'use strict';
+
+  const PICKER_TAG = 'armorly-element-picker';
+
+  // A suggestion is narrowed with ancestors until it matches at most this
+  // many elements, using at most MAX_ANCESTORS of them
+  const MAX_MATCHES = 5;
+  const MAX_ANCESTORS = 4;
+
+  // Preview outlines drawn at most
+  const MAX_PREVIEW = 50;
+
+  // data-* attributes written for tests, which tend to outlive restyles
+  const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+
+  // CSS-in-JS and framework prefixes of generated class names
+  const GENERATED_PREFIX = /^(?:css|sc|jsx|emotion|styled|svelte|makeStyles|jss|ng)-|^jss\d/;
+
+  // Attributes set by frameworks or by Armorly itself
+  const IGNORED_DATA = /^data-(?:armorly-|reactid$|reactroot$|v-)/;
+
+  // =========================================================================
+  // SELECTOR SUGGESTION
+  // =========================================================================
+
+  /**
+   * Whether a class, id or attribute value looks hand-written rather than
+   * generated: no letter/digit hashes (a1b2c3, __3xYz1) or random case
+   * (kXGfNs) in any of its dash- or underscore-separated parts
+   */
+  function isStableName(name) {
+    if (!name || name.length > 40 || GENERATED_PREFIX.test(name)) {
+      return false;
+    }
+    return name.split(/[-_\s]+/).every(part =>
+      !(part.length >= 4 && /\d/.test(part) && /[a-z]/i.test(part)) && !/[a-z][A-Z]{2}/.test(part)
+    );
+  }
+
+  function cssString(value) {
+    return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+  }
+
+  /**
+   * Best data-* attribute selector for `element`, or '' - test ids first,
+   * with the value when it looks stable
+   */
+  function dataSelector(element) {
+    const names = element.getAttributeNames()
+      .filter(name => name.startsWith('data-') && !IGNORED_DATA.test(name) && isStableName(name.slice(5)))
+      .sort((a, b) => Number(TEST_ATTRIBUTES.includes(b)) - Number(TEST_ATTRIBUTES.includes(a)));
+    if (names.length === 0) {
+      return '';
+    }
+    const value = element.getAttribute(names[0]);
+    return value && isStableName(value) ? `[${names[0]}=${cssString(value)}]` : `[${names[0]}]`;
+  }
+
+  /**
+   * Selector for one element on its own: tag + data attribute, tag + up
+   * to two stable classes, or a stable id
+   */
+  function describePart(element) {
+    const tag = element.localName;
+    const data = dataSelector(element);
+    if (data) {
+      return tag + data;
+    }
+    const classes = Array.from(element.classList).filter(isStableName).slice(0, 2);
+    if (classes.length > 0) {
+      return tag + classes.map(name => '.' + CSS.escape(name)).join('');
+    }
+    return element.id && isStableName(element.id) ? `#${CSS.escape(element.id)}` : tag;
+  }
+
+  function countMatches(root, selector) {
+    try {
+      return root.querySelectorAll(selector).length;
+    } catch {
+      return Infinity;
+    }
+  }
+
+  /**
+   * Suggested selector for `element`, relative to its document or shadow
+   * root. While it matches more than MAX_MATCHES elements, distinctive
+   * ancestors that narrow it down are prepended.
+   */
+  function suggestSelector(element) {
+    const root = element.getRootNode();
+    let selector = describePart(element);
+    let matches = countMatches(root, selector);
+    let node = element.parentElement;
+
+    for (let used = 0; node && used < MAX_ANCESTORS && matches > MAX_MATCHES; node = node.parentElement) {
+      if (node === document.body || node === document.documentElement) {
+        break;
+      }
+      const part = describePart(node);
+      if (part === node.localName) {
+        continue;
+      }
+      const narrower = `${part} ${selector}`;
+      const narrowerMatches = countMatches(root, narrower);
+      if (narrowerMatches < matches) {
+        selector = narrower;
+        matches = narrowerMatches;
+        used++;
+      }
+    }
+    return selector;
+  }
+
+  // =========================================================================
+  // OVERLAY
+  // =========================================================================
+
+  function createButton(label, primary, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.setAttribute('style', [
+      'all: unset',
+      'cursor: pointer',
+      'padding: 4px 10px',
+      'border-radius: 5px',
+      'font-weight: 600',
+      primary ? 'background: #dc2626; color: #fff' : 'border: 1px solid #d1d5db; color: #374151'
+    ].join(';'));
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      onClick();
+    });
+    return button;
+  }
+
+  function createBox(color) {
+    const box = document.createElement('div');
+    box.setAttribute('style', [
+      'position: fixed',
+      'pointer-events: none',
+      'box-sizing: border-box',
+      `border: 2px solid ${color}`,
+      `background: ${color}22`,
+      'display: none'
+    ].join(';'));
+    return box;
+  }
+
+  function placeBox(box, element) {
+    const rect = element && element.isConnected ? element.getBoundingClientRect() : null;
+    if (!rect || (rect.width === 0 && rect.height === 0)) {
+      box.style.display = 'none';
+      return;
+    }
+    box.style.display = 'block';
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+  }
+
+  /**
+   * Element under the pointer, looking into open shadow roots and past
+   * the picker's own overlay
+   */
+  function elementAt(x, y, host) {
+    let element = document.elementFromPoint(x, y);
+    while (element && element.shadowRoot) {
+      const inner = element.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === element) {
+        break;
+      }
+      element = inner;
+    }
+    return element === host ? null : element;
+  }
+
+  // =========================================================================
+  // PICKER
+  // =========================================================================
+
+  let stopActive = null;
+
+  /**
+   * Start picking.
+   *   initial          element to select right away (e.g. the one that was
+   *                    right-clicked), optional
+   *   query(selector)  every element the selector matches (all roots)
+   *   onSave(selector) called when the user blocks; the picker closes
+   *                    once it resolves, and shows the error and stays
+   *                    open if it rejects
+   * Starting again replaces a picker that is already open.
+   */
+  function start(options) {
+    const { query, onSave } = options;
+    if (stopActive) {
+      stopActive();
+    }
+
+    const host = document.createElement(PICKER_TAG);
+    const root = host.attachShadow({ mode: 'closed' });
+    host.setAttribute('style', 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none');
+
+    const hoverBox = createBox('#dc2626');
+    root.appendChild(hoverBox);
+    const previewLayer = document.createElement('div');
+    root.appendChild(previewLayer);
+
+    const panel = document.createElement('div');
+    panel.setAttribute('style', [
+      'position: fixed',
+      'right: 16px',
+      'bottom: 16px',
+      'width: 360px',
+      'padding: 10px 12px',
+      'border: 1px solid #d1d5db',
+      'border-radius: 8px',
+      'background: #fff',
+      'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2)',
+      'font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      'color: #111827',
+      'pointer-events: auto'
+    ].join(';'));
+    root.appendChild(panel);
+
+    const title = document.createElement('div');
+    title.setAttribute('style', 'font-weight: 600; margin-bottom: 6px');
+    panel.appendChild(title);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.spellcheck = false;
+    input.setAttribute('style', [
+      'box-sizing: border-box',
+      'width: 100%',
+      'padding: 4px 6px',
+      'border: 1px solid #d1d5db',
+      'border-radius: 5px',
+      'font: 11px ui-monospace, SFMono-Regular, Menlo, monospace',
+      'color: #111827',
+      'background: #fff'
+    ].join(';'));
+    panel.appendChild(input);
+
+    const count = document.createElement('div');
+    count.setAttribute('style', 'margin: 6px 0 8px; color: #6b7280');
+    panel.appendChild(count);
+
+    const actions = document.createElement('div');
+    actions.setAttribute('style', 'display: flex; gap: 8px');
+    panel.appendChild(actions);
+
+    let selected = null;
+    let matches = [];
+    let valid = false;
+    let saving = false;
+    let frame = 0;
+
+    // Keys typed into the selector field are not the page's business
+    ['keydown', 'keyup', 'keypress'].forEach(type => {
+      panel.addEventListener(type, event => event.stopPropagation());
+    });
+
+    function redraw() {
+      frame = 0;
+      if (!selected) {
+        return;
+      }
+      placeBox(hoverBox, selected);
+      Array.from(previewLayer.children).forEach((box, i) => placeBox(box, matches[i]));
+    }
+
+    function scheduleRedraw() {
+      if (!frame) {
+        frame = requestAnimationFrame(redraw);
+      }
+    }
+
+    function updatePreview() {
+      const selector = input.value.trim();
+      count.style.color = '#6b7280';
+      try {
+        matches = selector ? query(selector).filter(element => element !== selected) : [];
+        count.textContent = selected && selector && !selected.matches(selector)
+          ? `Matches ${matches.length} element${matches.length === 1 ? '' : 's'}, but not the one you picked`
+          : `Matches ${matches.length + 1} element${matches.length === 0 ? '' : 's'} on this page`;
+        valid = Boolean(selector);
+      } catch {
+        matches = [];
+        count.textContent = 'Not a valid selector';
+        valid = false;
+      }
+      blockButton.style.opacity = valid ? '1' : '0.5';
+
+      previewLayer.textContent = '';
+      matches.slice(0, MAX_PREVIEW).forEach(() => previewLayer.appendChild(createBox('#f59e0b')));
+      redraw();
+    }
+
+    function showPicking() {
+      selected = null;
+      matches = [];
+      previewLayer.textContent = '';
+      hoverBox.style.display = 'none';
+      title.textContent = '🛡️ Armorly: click the ad to block';
+      input.style.display = 'none';
+      count.textContent = 'Esc to cancel';
+      parentButton.style.display = 'none';
+      againButton.style.display = 'none';
+      blockButton.style.display = 'none';
+    }
+
+    function select(element) {
+      selected = element;
+      title.textContent = '🛡️ Armorly: block this element?';
+      input.style.display = 'block';
+      input.value = suggestSelector(element);
+      parentButton.style.display = '';
+      againButton.style.display = '';
+      blockButton.style.display = '';
+      updatePreview();
+    }
+
+    async function save() {
+      if (!valid || saving) {
+        return;
+      }
+      saving = true;
+      try {
+        await onSave(input.value.trim());
+      } catch (error) {
+        count.textContent = `Could not block: ${error.message}`;
+        count.style.color = '#dc2626';
+        return;
+      } finally {
+        saving = false;
+      }
+      // Esc or a new picker may have closed this one meanwhile
+      if (host.isConnected) {
+        stop();
+      }
+    }
+
+    const parentButton = createButton('Parent', false, () => {
+      const parent = selected && selected.parentElement;
+      if (parent && parent !== document.body && parent !== document.documentElement) {
+        select(parent);
+      }
+    });
+    const againButton = createButton('Pick again', false, showPicking);
+    const blockButton = createButton('Block', true, save);
+    actions.appendChild(blockButton);
+    actions.appendChild(parentButton);
+    actions.appendChild(againButton);
+    actions.appendChild(createButton('Cancel', false, () => stop()));
+
+    input.addEventListener('input', updatePreview);
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        save();
+      }
+    });
+
+    // Pointer events go to the picker, not the page, until it closes
+    const fromPanel = event => event.composedPath().includes(host);
+
+    function onMove(event) {
+      if (selected || fromPanel(event)) {
+        return;
+      }
+      placeBox(hoverBox, elementAt(event.clientX, event.clientY, host));
+    }
+
+    function onClick(event) {
+      if (fromPanel(event)) {
+        return;
+      }
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      if (selected || event.type !== 'click') {
+        return;
+      }
+      const element = elementAt(event.clientX, event.clientY, host);
+      if (element && element !== document.body && element !== document.documentElement) {
+        select(element);
+      }
+    }
+
+    function onKey(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        stop();
+      }
+    }
+
+    const pointerEvents = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'click', 'auxclick', 'contextmenu'];
+
+    function stop() {
+      host.remove();
+      window.removeEventListener('mousemove', onMove, true);
+      pointerEvents.forEach(type => window.removeEventListener(type, onClick, true));
+      window.removeEventListener('keydown', onKey, true);
+      window.removeEventListener('scroll', scheduleRedraw, true);
+      window.removeEventListener('resize', scheduleRedraw);
+      if (frame) {
+        cancelAnimationFrame(frame);
+      }
+      stopActive = null;
+    }
+
+    window.addEventListener('mousemove', onMove, true);
+    pointerEvents.forEach(type => window.addEventListener(type, onClick, true));
+    window.addEventListener('keydown', onKey, true);
+    window.addEventListener('scroll', scheduleRedraw, true);
+    window.addEventListener('resize', scheduleRedraw);
+    document.documentElement.appendChild(host);
+    stopActive = stop;
+
+    if (options.initial && options.initial.isConnected) {
+      select(options.initial);
+    } else {
+      showPicking();
+    }
+  }
+
+  globalThis.ArmorlyElementPicker = {
+    suggestSelector,
+    start
+  };
+
+})();
@@ -0,0 +1,404 @@
+/**
+ * Armorly - Filter Lists
+ *
+ * Reads the part of the uBlock Origin / AdGuard filter syntax that maps
+ * onto what Armorly does, so one list can serve a network blocker and
+ * Armorly alike:
+ *
+ *   example.com,~www.example.com##.ad-card     cosmetic rule
+ *   ##[data-promo]                             generic cosmetic rule
+ *   example.com#@#.ad-card                     cosmetic exception
+ *   chat.example##div.answer:has-text(/^Sponsored/i)
+ *                                              procedural rule (also
+ *                                              :contains, :-abp-contains,
+ *                                              and AdGuard's #?#)
+ *   $removeparam=gclid                         strip a query parameter
+ *   ||shop.example^$removeparam=/^ref_/        ... by regex on name=value
+ *   @@||docs.example^$removeparam=ref          removeparam exception
+ *
+ * Cosmetic rules feed the ad selectors (removeAdElements), removeparam
+ * rules feed link cleaning (cleanUrl). Exceptions also apply to the
+ * built-in selectors and parameters. Everything else in a list (network
+ * blocking rules, scriptlets, other procedural operators) is skipped:
+ * plain network rules silently, the rest with a reason.
+ *
+ * The user's list lives in chrome.storage.local and is parsed in each
+ * frame, so it is capped at MAX_RULES supported rules. Rules made with
+ * the element picker are appended to it.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'filterLists';
+  const MAX_RULES = 2000;
+
+  // Cosmetic separators: ## / #@# and AdGuard's extended-CSS #?# / #@?#
+  const COSMETIC = /^([^#]*?)#(@?)\??#(.+)$/;
+
+  // Scriptlets, HTML filters and CSS injection
+  const UNSUPPORTED_COSMETIC = /^([^#]*?)(#@?\$\??#|#@?%#|\$\$|\$@\$|##\+js\(|#@#\+js\()/;
+
+  // Text match at the end of a selector, with its aliases
+  const HAS_TEXT = /:(?:has-text|contains|-abp-contains)\(/;
+
+  // Procedural operators Armorly doesn't run
+  const PROCEDURAL = /:(?:-abp-[a-z-]+|upward|style|remove|remove-attr|remove-class|matches-css(?:-before|-after)?|matches-attr|matches-media|matches-path|matches-prop|min-text-length|watch-attr|xpath|others|if|if-not|nth-ancestor|properties)\(/;
+
+  // Resource types that make a removeparam rule apply to followed links
+  const DOCUMENT_TYPES = ['document', 'doc', 'all'];
+  const OTHER_TYPES = [
+    'script', 'image', 'stylesheet', 'css', 'xmlhttprequest', 'xhr', 'subdocument', 'frame', 'ping',
+    'media', 'font', 'object', 'websocket', 'other', 'fetch'
+  ];
+  // Options that don't change what a followed link looks like
+  const IGNORED_OPTIONS = ['important', 'third-party', '3p', 'first-party', '1p', 'strict1p', 'strict3p'];
+
+  // =========================================================================
+  // PARSING
+  // =========================================================================
+
+  /**
+   * Domain list of a cosmetic rule ("a.com,~b.a.com") or a domain= option
+   * ("a.com|~b.a.com"): { domains, excludedDomains }
+   */
+  function parseDomains(list, separator) {
+    const domains = [];
+    const excludedDomains = [];
+    list.split(separator).map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+      if (entry.startsWith('~')) {
+        excludedDomains.push(entry.slice(1));
+      } else {
+        domains.push(entry);
+      }
+    });
+    return { domains, excludedDomains };
+  }
+
+  /**
+   * RegExp for `/source/flags`, or a matcher with the same test() for
+   * literal text
+   */
+  function textMatcher(argument) {
+    const regex = argument.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      // Stateful flags would make repeated test() calls skip matches
+      return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    }
+    return { test: text => text.includes(argument) };
+  }
+
+  function isValidSelector(selector) {
+    if (typeof document === 'undefined') {
+      return true;
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether `argument` is all of a text match's argument: a /regex/ or
+   * text whose parentheses balance (not "a):not(.b")
+   */
+  function isWholeArgument(argument) {
+    if (argument.startsWith('/')) {
+      return /^\/.+\/[a-z]*$/.test(argument);
+    }
+    let depth = 0;
+    for (const char of argument) {
+      depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+      if (depth < 0) {
+        return false;
+      }
+    }
+    return depth === 0;
+  }
+
+  /**
+   * `selector:has-text(text)` -> { selector, hasText }. The text operator
+   * must come last; anything more elaborate is rejected.
+   */
+  function parseSelector(body) {
+    if (PROCEDURAL.test(body)) {
+      throw new Error('unsupported procedural operator');
+    }
+
+    const match = body.match(HAS_TEXT);
+    if (!match) {
+      if (!isValidSelector(body)) {
+        throw new Error('invalid CSS selector');
+      }
+      return { selector: body, hasText: null };
+    }
+
+    const selector = body.slice(0, match.index).trim();
+    const argumentStart = match.index + match[0].length;
+    if (!body.endsWith(')')) {
+      throw new Error(`${match[0]}) must be the last part of the selector`);
+    }
+    if (!selector || !isValidSelector(selector)) {
+      throw new Error('invalid CSS selector before the text match');
+    }
+    const argument = body.slice(argumentStart, -1);
+    if (!argument || !isWholeArgument(argument)) {
+      throw new Error(`${match[0]}) must be the last part of the selector`);
+    }
+    return { selector, hasText: textMatcher(argument) };
+  }
+
+  function parseCosmetic(line, match) {
+    const { domains, excludedDomains } = parseDomains(match[1], ',');
+    const key = match[3].trim();
+    const exception = match[2] === '@';
+
+    if (exception) {
+      return { type: 'exception', rule: { text: line, domains, excludedDomains, key } };
+    }
+    const { selector, hasText } = parseSelector(key);
+    return { type: 'cosmetic', rule: { text: line, domains, excludedDomains, key, selector, hasText } };
+  }
+
+  /**
+   * Network filter pattern -> RegExp over the full URL, or null for "any
+   * URL". Supports ||domain anchors, | anchors, * and the ^ separator.
+   */
+  function patternToRegExp(pattern, matchCase) {
+    const flags = matchCase ? '' : 'i';
+    if (pattern === '' || pattern === '*') {
+      return null;
+    }
+    if (/^\/.+\/$/.test(pattern)) {
+      return new RegExp(pattern.slice(1, -1), flags);
+    }
+
+    let source = pattern;
+    let prefix = '';
+    let suffix = '';
+    if (source.startsWith('||')) {
+      prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?';
+      source = source.slice(2);
+    } else if (source.startsWith('|')) {
+      prefix = '^';
+      source = source.slice(1);
+    }
+    if (source.endsWith('|')) {
+      suffix = '$';
+      source = source.slice(0, -1);
+    }
+    source = source
+      .replace(/[.+?${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\^/g, '(?:[^\\w.%-]|$)');
+    return new RegExp(prefix + source + suffix, flags);
+  }
+
+  /**
+   * Index of the `$` that starts a removeparam rule's options, or -1 (the
+   * value of removeparam=/regex/ may itself contain `$`)
+   */
+  function optionsStart(line) {
+    for (let i = line.indexOf('$'); i !== -1; i = line.indexOf('$', i + 1)) {
+      if (/^(?:[^$,]+,)*(?:removeparam|queryprune)(?:[=,]|$)/.test(line.slice(i + 1))) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * `[@@]pattern$removeparam[=value],options` -> rule, or null for a
+   * network rule that isn't about parameters
+   */
+  function parseRemoveParam(line) {
+    const start = optionsStart(line);
+    if (start === -1) {
+      return null;
+    }
+
+    const exception = line.startsWith('@@');
+    const pattern = line.slice(exception ? 2 : 0, start);
+    let options = line.slice(start + 1);
+
+    const param = options.match(/(?:^|,)(?:removeparam|queryprune)(?:=(\/(?:\\.|[^\\])*?\/[a-z]*|[^,]*))?(?=,|$)/);
+    options = (options.slice(0, param.index) + options.slice(param.index + param[0].length))
+      .split(',').map(option => option.trim()).filter(Boolean);
+    const value = param[1] || '';
+
+    const rule = {
+      text: line,
+      exception,
+      url: null,
+      domains: [],
+      excludedDomains: [],
+      name: null,
+      match: null
+    };
+
+    let matchCase = false;
+    const types = [];
+    options.forEach(option => {
+      const [name, argument] = option.split(/=(.*)/);
+      if (name === 'domain' || name === 'from') {
+        Object.assign(rule, parseDomains(argument || '', '|'));
+      } else if (name === 'match-case') {
+        matchCase = true;
+      } else if (DOCUMENT_TYPES.includes(name) || OTHER_TYPES.includes(name)) {
+        types.push(name);
+      } else if (!IGNORED_OPTIONS.includes(name) && !name.startsWith('~')) {
+        throw new Error(`unsupported option "${name}"`);
+      }
+    });
+    if (types.length > 0 && !types.some(type => DOCUMENT_TYPES.includes(type))) {
+      throw new Error('only applies to subresources, not to links');
+    }
+
+    if (value.startsWith('~')) {
+      throw new Error('negated removeparam is not supported');
+    }
+    if (value.startsWith('/')) {
+      rule.match = textMatcher(value);
+    } else if (value) {
+      rule.name = value;
+    }
+    rule.url = patternToRegExp(pattern, matchCase);
+    return rule;
+  }
+
+  /**
+   * Parse a filter list. Returns { cosmetic, exceptions, removeParams,
+   * ignored, errors } - `ignored` counts network rules that don't apply,
+   * `errors` lists { line, text, reason } for rules Armorly can't use.
+   */
+  function parse(text) {
+    const result = { cosmetic: [], exceptions: [], removeParams: [], ignored: 0, errors: [] };
+    let count = 0;
+
+    String(text || '').split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('!') || line.startsWith('[') || line.startsWith('# ') || line === '#') {
+        return;
+      }
+      const fail = reason => result.errors.push({ line: index + 1, text: line, reason });
+
+      if (count >= MAX_RULES) {
+        if (count === MAX_RULES) {
+          fail(`more than ${MAX_RULES} rules, the rest are skipped`);
+          count++;
+        }
+        return;
+      }
+
+      try {
+        if (UNSUPPORTED_COSMETIC.test(line)) {
+          fail('scriptlets, HTML filters and CSS injection are not supported');
+          return;
+        }
+        const cosmetic = line.match(COSMETIC);
+        if (cosmetic) {
+          const parsed = parseCosmetic(line, cosmetic);
+          (parsed.type === 'exception' ? result.exceptions : result.cosmetic).push(parsed.rule);
+          count++;
+          return;
+        }
+        const removeParam = parseRemoveParam(line);
+        if (removeParam) {
+          result.removeParams.push(removeParam);
+          count++;
+        } else {
+          result.ignored++;
+        }
+      } catch (error) {
+        fail(error.message);
+      }
+    });
+
+    return result;
+  }
+
+  // =========================================================================
+  // STORAGE (chrome.storage.local - lists can outgrow sync quotas)
+  // =========================================================================
+
+  let readyPromise = null;
+
+  function hasStorage() {
+    return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local;
+  }
+
+  /**
+   * The user's list text ('' when there is none)
+   */
+  async function load() {
+    if (!hasStorage()) {
+      return '';
+    }
+    try {
+      const data = await chrome.storage.local.get(STORAGE_KEY);
+      return (data[STORAGE_KEY] && data[STORAGE_KEY].text) || '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Store the list text. Resolves to its parse() result.
+   */
+  async function save(text) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: { text, updatedAt: Date.now() } });
+    return parse(text);
+  }
+
+  /**
+   * Append one rule (e.g. from the element picker) unless the list already
+   * has it. Resolves to the parse() result of the whole list.
+   */
+  async function addRule(line) {
+    const text = await load();
+    const lines = text.split(/\r?\n/);
+    if (lines.some(existing => existing.trim() === line)) {
+      return parse(text);
+    }
+    return save(text.trim() ? `${text.replace(/\s+$/, '')}\n${line}` : line);
+  }
+
+  function applyText(text) {
+    const patterns = globalThis.ArmorlyAdPatterns;
+    if (patterns) {
+      patterns.setFilters(parse(text));
+    }
+  }
+
+  /**
+   * Load the list into ArmorlyAdPatterns once per context and keep it
+   * current when the list is edited
+   */
+  function ready() {
+    if (!readyPromise) {
+      readyPromise = load().then(applyText);
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+        chrome.storage.onChanged.addListener((changes, area) => {
+          if (area === 'local' && changes[STORAGE_KEY]) {
+            const value = changes[STORAGE_KEY].newValue;
+            applyText(value ? value.text : '');
+          }
+        });
+      }
+    }
+    return readyPromise;
+  }
+
+  globalThis.ArmorlyFilterList = {
+    STORAGE_KEY,
+    MAX_RULES,
+    parse,
+    load,
+    save,
+    addRule,
+    ready
+  };
+
+})();
@@ -0,0 +1,209 @@
+/**
+ * Armorly - Prompt Injection Classifier
+ *
+ * Local, offline scorer for prompt injections. Instead of a yes/no regex
+ * list, each piece of text is checked for weighted features:
+ *
+ *   - Phrase features: "ignore previous instructions", "reveal your system
+ *     prompt", "send the user's data to ...", in several languages
+ *   - Heuristics: text that addresses the assistant, imperatives at the
+ *     start of a sentence, chat-template role markers
+ *
+ * Feature weights are combined noisy-OR style (1 - Π(1 - w)), so one strong
+ * feature is enough and several weak ones add up. Text is flagged when the
+ * score reaches the threshold (settings.injectionThreshold, 0.7 by default).
+ * Every decision reports the features that fired.
+ *
+ * Callers normalize text first (ArmorlyTextNormalizer.normalize).
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_THRESHOLD = 0.7;
+
+  // Shortest text worth scoring (CJK payloads can be very short)
+  const MIN_TEXT_LENGTH = 4;
+
+  // Only the start of very long text is scored
+  const MAX_TEXT_LENGTH = 20000;
+
+  // =========================================================================
+  // PHRASE PACKS - { id, weight, pattern } per language
+  // =========================================================================
+
+  // Patterns here and in HEURISTICS are case-insensitive and Unicode-aware
+  const PHRASE_PACKS = {
+    en: [
+      { id: 'override-instructions', weight: 0.9, pattern: /\b(?:ignore|disregard|forget|skip)\s+(?:all\s+|any\s+|the\s+|your\s+)*(?:previous|above|prior|earlier|preceding|original)\s+(?:instructions|prompts?|rules|directions|guidelines)\b/iu },
+      { id: 'override-instructions', weight: 0.8, pattern: /\boverride\s+(?:your\s+|all\s+|the\s+)?(?:instructions|programming|rules|system\s+prompt)\b/iu },
+      { id: 'override-instructions', weight: 0.5, pattern: /\b(?:ignore|disregard|forget)\s+(?:all\s+|any\s+|your\s+)+(?:instructions|rules|guidelines)\b/iu },
+      { id: 'new-instructions', weight: 0.8, pattern: /\bnew\s+instructions?\s*:\s*\S/iu },
+      { id: 'new-instructions', weight: 0.6, pattern: /\byour\s+(?:new\s+|real\s+|actual\s+|only\s+)?(?:task|job|goal|objective|instructions?|purpose)\s+(?:is|are|will\s+be)\b/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\byou\s+are\s+now\s+(?:a|an|in|my)\s+/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\b(?:roleplay|role-play)\s+as\s+(?:a|an)\s+/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\bpretend\s+(?:you\s+are|to\s+be)\s+(?:a|an)\s+/iu },
+      { id: 'from-now-on', weight: 0.35, pattern: /\bfrom\s+now\s+on\b/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /\b(?:reveal|print|show|output|repeat|leak|display|share|tell\s+me)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|initial\s+instructions|hidden\s+instructions|original\s+prompt|instructions\s+above)\b/iu },
+      { id: 'system-prompt-mention', weight: 0.3, pattern: /\bsystem\s+prompt\b/iu },
+      { id: 'exfiltration', weight: 0.7, pattern: /\b(?:send|forward|post|upload|email|transmit|exfiltrate|leak)\s+(?:all\s+|the\s+|this\s+|their\s+)*(?:user'?s?|users'|conversation|chat|personal|private|email|passwords?|credentials?|cookies?|history|data)\b.{0,60}?\b(?:to|at|via)\b/iu },
+      { id: 'markdown-image', weight: 0.3, pattern: /!\[[^\]]*\]\(https?:\/\/[^)\s]+\)/iu },
+      { id: 'concealment', weight: 0.6, pattern: /\bdo\s+not\s+(?:tell|inform|mention|reveal|alert|let)\s+(?:this\s+to\s+|to\s+)?(?:the\s+)?user\b/iu },
+      { id: 'concealment', weight: 0.6, pattern: /\bwithout\s+(?:telling|informing|alerting|notifying)\s+the\s+user\b/iu },
+      { id: 'jailbreak', weight: 0.8, pattern: /\bjailbreak/iu },
+      { id: 'jailbreak', weight: 0.85, pattern: /\bDAN\s+mode\b/iu },
+      { id: 'jailbreak', weight: 0.8, pattern: /\bdeveloper\s+mode\s+(?:enabled|on|activated)\b/iu },
+      { id: 'jailbreak', weight: 0.7, pattern: /\bdo\s+anything\s+now\b/iu },
+      { id: 'safety-override', weight: 0.7, pattern: /\b(?:ignore|bypass|disable)\s+(?:your\s+|all\s+)?(?:safety|content)\s+(?:filters?|guidelines|policies|restrictions)\b/iu },
+      { id: 'recommendation-steering', weight: 0.55, pattern: /\b(?:always|only)\s+recommend\b/iu }
+    ],
+    es: [
+      { id: 'override-instructions', weight: 0.9, pattern: /\b(?:ignora|ignorar|olvida|olvidar)\s+(?:todas\s+)?(?:las\s+)?instrucciones\s+(?:anteriores|previas)/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /\b(?:revela|muestra|dime)\s+(?:tu|el)\s+(?:prompt|mensaje)\s+(?:del?\s+)?sistema/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\bahora\s+eres\s+(?:un|una)\b/iu },
+      { id: 'new-instructions', weight: 0.6, pattern: /\ba\s+partir\s+de\s+ahora,?\s+(?:eres|tu\s+tarea)/iu }
+    ],
+    de: [
+      { id: 'override-instructions', weight: 0.9, pattern: /\b(?:ignoriere|ignorier|vergiss)\s+(?:alle\s+)?(?:vorherigen|bisherigen|obigen|vorigen)\s+(?:anweisungen|instruktionen|befehle)/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /\b(?:zeige?|verrate|gib)\s+(?:mir\s+)?(?:deinen|den)\s+system-?prompt/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\bdu\s+bist\s+(?:jetzt|nun|ab\s+sofort)\s+(?:ein|eine)\b/iu },
+      { id: 'new-instructions', weight: 0.6, pattern: /\bab\s+(?:jetzt|sofort)\s+ist\s+deine\s+aufgabe/iu }
+    ],
+    fr: [
+      { id: 'override-instructions', weight: 0.9, pattern: /\b(?:ignore[zr]?|oublie[zr]?)\s+(?:toutes\s+)?(?:les\s+)?instructions\s+(?:précédentes|antérieures|ci-dessus)/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /\b(?:révèle|affiche|montre)[sz]?\s+(?:ton|votre|le)\s+prompt\s+syst[èe]me/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\btu\s+es\s+maintenant\s+(?:un|une)\b/iu },
+      { id: 'from-now-on', weight: 0.35, pattern: /à\s+partir\s+de\s+maintenant/iu }
+    ],
+    pt: [
+      { id: 'override-instructions', weight: 0.9, pattern: /\b(?:ignore|esqueça|esqueca)\s+(?:todas\s+)?(?:as\s+)?instruções\s+anteriores/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\bvocê\s+agora\s+é\s+(?:um|uma)\b/iu }
+    ],
+    it: [
+      { id: 'override-instructions', weight: 0.9, pattern: /\b(?:ignora|dimentica)\s+(?:tutte\s+)?(?:le\s+)?istruzioni\s+(?:precedenti|sopra)/iu },
+      { id: 'role-reassignment', weight: 0.7, pattern: /\bora\s+sei\s+(?:un|una)\b/iu }
+    ],
+    ru: [
+      { id: 'override-instructions', weight: 0.9, pattern: /(?:игнорируй|забудь)(?:те)?\s+(?:все\s+)?(?:предыдущие|прошлые)\s+(?:инструкции|указания)/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /(?:покажи|раскрой|выведи)(?:те)?\s+(?:свой\s+)?системный\s+промпт/iu },
+      { id: 'role-reassignment', weight: 0.5, pattern: /теперь\s+ты\s+/iu }
+    ],
+    zh: [
+      { id: 'override-instructions', weight: 0.9, pattern: /(?:忽略|忘记|无视)(?:之前|以上|上面|先前|所有)(?:的)?(?:所有)?(?:指令|指示|说明|提示)/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /(?:显示|透露|输出|告诉我)(?:你的)?系统提示/iu },
+      { id: 'role-reassignment', weight: 0.6, pattern: /你现在是/iu },
+      { id: 'new-instructions', weight: 0.6, pattern: /从现在开始,?\s*你(?:是|的任务)/iu }
+    ],
+    ja: [
+      { id: 'override-instructions', weight: 0.9, pattern: /(?:以前|前|上記)の(?:すべての)?(?:指示|命令)を(?:無視|忘れ)/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /システムプロンプトを(?:表示|教えて|出力)/iu },
+      { id: 'role-reassignment', weight: 0.6, pattern: /あなたは今から/iu }
+    ],
+    ko: [
+      { id: 'override-instructions', weight: 0.9, pattern: /이전\s*(?:의\s*)?(?:모든\s*)?(?:지시|명령|지침)(?:을|를)?\s*무시/iu },
+      { id: 'system-prompt-extraction', weight: 0.75, pattern: /시스템\s*프롬프트를?\s*(?:보여|알려|출력)/iu }
+    ]
+  };
+
+  // =========================================================================
+  // HEURISTICS - imperative text aimed at the assistant
+  // =========================================================================
+
+  const HEURISTICS = [
+    {
+      id: 'addresses-assistant',
+      weight: 0.35,
+      pattern: /\b(?:you\s+are|you're)\s+(?:an?\s+)?(?:ai|assistant|language\s+model|chatbot|llm)\b|(?:^|[\s.!?])(?:dear\s+|hey\s+)?(?:ai|assistant|chatgpt|claude|gemini|copilot|grok|llm|agent)s?\s*[,:]/iu
+    },
+    {
+      id: 'imperative-opening',
+      weight: 0.25,
+      pattern: /(?:^|[.!?:\n]\s*)(?:now\s+|instead\s+|please\s+)?(?:reveal|print|output|repeat|send|forward|email|summarize|respond|reply|tell|write|include|insert|append|recommend|visit|click|open|navigate|execute|run)\s+(?:the|this|all|your|me|only|a|an|it|that)\b/iu
+    },
+    {
+      id: 'role-marker',
+      weight: 0.75,
+      pattern: /\[(?:system|inst)\]\s*:?\s*\S|<\|(?:im_start|im_end|system|endoftext)\|>|^\s*#{2,}\s*(?:system|instructions?)\b/imu
+    },
+    {
+      id: 'role-marker',
+      weight: 0.5,
+      pattern: /<\/?(?:system|instructions?)>/iu
+    }
+  ];
+
+  // Features of a phrase pack, ids prefixed with its language
+  function compile(features, lang) {
+    return features.map(feature => ({
+      id: lang && lang !== 'en' ? `${lang}:${feature.id}` : feature.id,
+      weight: feature.weight,
+      pattern: feature.pattern
+    }));
+  }
+
+  const FEATURES = [
+    ...Object.keys(PHRASE_PACKS).flatMap(lang => compile(PHRASE_PACKS[lang], lang)),
+    ...compile(HEURISTICS)
+  ];
+
+  // Phrases from the active rule pack (rule-packs.js), replaced as a whole
+  let extraFeatures = [];
+
+  /**
+   * Replace the rule pack phrases: [{ id, weight, pattern }] with
+   * `pattern` as a regex source string
+   */
+  function setExtraPhrases(phrases) {
+    extraFeatures = phrases.map(phrase => ({
+      id: phrase.id,
+      weight: phrase.weight,
+      pattern: new RegExp(phrase.pattern, 'iu')
+    }));
+  }
+
+  // =========================================================================
+  // SCORING
+  // =========================================================================
+
+  /**
+   * Score text. Returns { score, features, flagged } where `features` lists
+   * the ids that fired (strongest weight per id) and `flagged` is whether
+   * the score reaches `threshold`.
+   */
+  function classify(text, threshold) {
+    const limit = typeof threshold === 'number' ? threshold : DEFAULT_THRESHOLD;
+    const value = String(text || '').slice(0, MAX_TEXT_LENGTH);
+
+    if (value.length < MIN_TEXT_LENGTH) {
+      return { score: 0, features: [], flagged: false };
+    }
+
+    const weights = new Map();
+    const check = feature => {
+      if ((weights.get(feature.id) || 0) < feature.weight && feature.pattern.test(value)) {
+        weights.set(feature.id, feature.weight);
+      }
+    };
+    FEATURES.forEach(check);
+    extraFeatures.forEach(check);
+
+    let remaining = 1;
+    weights.forEach(weight => {
+      remaining *= 1 - weight;
+    });
+    const score = Math.round((1 - remaining) * 100) / 100;
+
+    const features = Array.from(weights.keys())
+      .sort((a, b) => weights.get(b) - weights.get(a));
+
+    return { score, features, flagged: score >= limit };
+  }
+
+  globalThis.ArmorlyInjectionClassifier = {
+    DEFAULT_THRESHOLD,
+    LANGUAGES: Object.keys(PHRASE_PACKS),
+    classify,
+    setExtraPhrases
+  };
+
+})();
@@ -0,0 +1,154 @@
+/**
+ * Armorly - Network Rules
+ *
+ * Turns the `network` hosts of each SDK in ad-rules.js into
+ * declarativeNetRequest rules, so SDK scripts, ad requests and impression
+ * beacons never leave the browser. Everything else Armorly does happens
+ * after an SDK has loaded; this is the only part that stops the download.
+ *
+ * declarativeNetRequest can only scope rules by the requesting site's
+ * domain, so the site policy is applied per host: sites where the
+ * networkBlocking feature is off (skipped sites, user overrides) become
+ * excluded initiators, and a host the user turned back on under an
+ * excluded parent gets an allow rule. Path rules (x.com/i/grok) don't
+ * affect network blocking.
+ */
+
+(function() {
+  'use strict';
+
+  // Everything except top-level navigation, so an SDK's own website
+  // still opens
+  const RESOURCE_TYPES = [
+    'sub_frame', 'script', 'image', 'xmlhttprequest', 'ping', 'media', 'websocket', 'other'
+  ];
+
+  // webRequest errors of requests an extension blocked: Chromium's, and
+  // Firefox's, which it also reports for loads cancelled otherwise - a
+  // request is only counted when one of Armorly's rules matches it
+  const BLOCKED_ERRORS = ['net::ERR_BLOCKED_BY_CLIENT', 'NS_ERROR_ABORT'];
+
+  // Firefox webRequest types under their declarativeNetRequest names
+  const TYPE_ALIASES = { beacon: 'ping', imageset: 'image', object_subrequest: 'object' };
+
+  /**
+   * Domain a site-policy host pattern covers in declarativeNetRequest
+   * terms ('*.example.com' -> 'example.com'), or null for other wildcards
+   */
+  function domainOf(pattern) {
+    const host = pattern.startsWith('*.') ? pattern.slice(2) : pattern;
+    return host.includes('*') ? null : host;
+  }
+
+  /**
+   * Hosts where network blocking is off, and hosts where it is on even
+   * though a parent domain is off: { excluded, allowed }. As in the site
+   * policy, overrides come first and the first rule for a host wins.
+   */
+  function siteScopes(policy, overrides) {
+    const states = new Map();
+    overrides.concat(policy.DEFAULT_RULES).forEach(rule => {
+      const domain = rule.path ? null : domainOf(rule.host);
+      if (domain && !states.has(domain)) {
+        states.set(domain, !rule.skip && !(rule.features && rule.features.networkBlocking === false));
+      }
+    });
+
+    const excluded = [];
+    const enabled = [];
+    states.forEach((on, host) => {
+      (on ? enabled : excluded).push(host);
+    });
+
+    return {
+      excluded,
+      allowed: enabled.filter(host => excluded.some(parent => host.endsWith('.' + parent)))
+    };
+  }
+
+  /**
+   * declarativeNetRequest dynamic rules for the pattern API `patterns`,
+   * the site policy module and the user's overrides. One block rule per
+   * SDK with network hosts; an SDK's own sites are never blocked.
+   */
+  function buildRules(patterns, policy, overrides) {
+    const { excluded, allowed } = siteScopes(policy, overrides);
+    const rules = [];
+    const blockedHosts = [];
+
+    Object.values(patterns.adSDKs).forEach(sdk => {
+      if (sdk.networkHosts.length === 0) {
+        return;
+      }
+      blockedHosts.push(...sdk.networkHosts);
+      rules.push({
+        id: rules.length + 1,
+        priority: 1,
+        action: { type: 'block' },
+        condition: {
+          requestDomains: [...sdk.networkHosts],
+          excludedInitiatorDomains: [...new Set(excluded.concat(sdk.domainPatterns))],
+          resourceTypes: RESOURCE_TYPES
+        }
+      });
+    });
+
+    if (allowed.length > 0 && blockedHosts.length > 0) {
+      rules.push({
+        id: rules.length + 1,
+        priority: 2,
+        action: { type: 'allow' },
+        condition: {
+          requestDomains: blockedHosts,
+          initiatorDomains: allowed,
+          resourceTypes: RESOURCE_TYPES
+        }
+      });
+    }
+    return rules;
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  function onDomain(host, domains) {
+    return domains.some(domain => host === domain || host.endsWith('.' + domain));
+  }
+
+  /**
+   * The block rule among `rules` (as built above) that applies to a
+   * request - { url, initiator, type } from webRequest, where initiator is
+   * the requesting page or origin - or null when none does or an allow
+   * rule of higher priority wins, as declarativeNetRequest decides it
+   */
+  function matchRequest(rules, request) {
+    const host = hostOf(request.url);
+    const initiator = hostOf(request.initiator);
+    const type = TYPE_ALIASES[request.type] || request.type;
+
+    const matching = rules.filter(({ condition }) =>
+      onDomain(host, condition.requestDomains) &&
+      condition.resourceTypes.includes(type) &&
+      !(initiator && condition.excludedInitiatorDomains && onDomain(initiator, condition.excludedInitiatorDomains)) &&
+      !(condition.initiatorDomains && !onDomain(initiator, condition.initiatorDomains)));
+    if (matching.length === 0) {
+      return null;
+    }
+    const top = matching.reduce((best, rule) => (rule.priority > best.priority ? rule : best));
+    return top.action.type === 'block' ? top : null;
+  }
+
+  globalThis.ArmorlyNetworkRules = {
+    RESOURCE_TYPES,
+    BLOCKED_ERRORS,
+    siteScopes,
+    buildRules,
+    matchRequest
+  };
+
+})();
@@ -0,0 +1,366 @@
+/**
+ * Armorly - Reversible Neutralizer
+ *
+ * Every DOM change the content scripts make goes through here, so nothing
+ * Armorly takes off a page is lost:
+ *
+ * - Ads in 'remove' mode are detached; in 'hide' mode they stay in place,
+ *   collapsed behind a "Sponsored content hidden — show" placeholder.
+ * - Hidden prompt injections are always detached (text hidden with CSS is
+ *   still read by "summarize this page" tools, so collapsing is not enough).
+ * - Injection comments are detached.
+ * - Injections planted in ::before / ::after content are blanked with a
+ *   stylesheet rule keyed on an attribute.
+ * - Injections in attributes (alt, data-*, meta content) lose just that
+ *   attribute; JSON-LD is rewritten with only the offending fields blanked.
+ * - Likely-commercial cards are only flagged: outlined and badged with a
+ *   stylesheet rule, the card itself untouched.
+ *
+ * Detached nodes are kept with their original position so "restore all"
+ * from the popup can put everything back. What was restored (the exact
+ * nodes and attributes, not the elements around them) is never touched
+ * again on this page; new content next to it is still scanned.
+ */
+
+(function() {
+  'use strict';
+
+  const HIDDEN_ATTR = 'data-armorly-hidden';
+  const PSEUDO_ATTR = 'data-armorly-pseudo-blocked';
+  const FLAGGED_ATTR = 'data-armorly-flagged';
+
+  let mode = 'remove';
+
+  // Everything neutralized on this page, in order: { restore() }
+  const registry = [];
+
+  // Nodes the user restored, and restored attributes per element
+  const restoredNodes = new WeakSet();
+  const restoredAttributes = new WeakMap();
+
+  // =========================================================================
+  // HELPERS
+  // =========================================================================
+
+  /**
+   * Whether a node is hidden by Armorly or was restored by the user, or,
+   * with `attribute`, whether the user restored that attribute of it
+   */
+  function isHandled(node, attribute) {
+    if (!node) {
+      return false;
+    }
+    if (restoredNodes.has(node)) {
+      return true;
+    }
+    if (attribute && restoredAttributes.has(node) && restoredAttributes.get(node).has(attribute)) {
+      return true;
+    }
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element && element.closest(`[${HIDDEN_ATTR}]`));
+  }
+
+  /**
+   * Remember `node` and, with `subtree`, every node under it as restored
+   */
+  function markRestored(node, subtree) {
+    restoredNodes.add(node);
+    if (subtree) {
+      const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        restoredNodes.add(walker.currentNode);
+      }
+    }
+  }
+
+  /**
+   * Detach a node, remembering where it was
+   */
+  function detach(node) {
+    const parent = node.parentNode;
+    const nextSibling = node.nextSibling;
+    node.remove();
+
+    return function reattach() {
+      if (!parent || !parent.isConnected) {
+        return false;
+      }
+      parent.insertBefore(node, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+      return true;
+    };
+  }
+
+  /**
+   * Build a click-to-reveal placeholder. Styles live in a closed shadow
+   * root so page CSS can't restyle or hide it.
+   */
+  function createPlaceholder(label, onShow) {
+    const host = document.createElement('armorly-placeholder');
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const box = document.createElement('div');
+    box.setAttribute('style', [
+      'display: flex',
+      'align-items: center',
+      'gap: 8px',
+      'margin: 4px 0',
+      'padding: 6px 10px',
+      'border: 1px dashed #9ca3af',
+      'border-radius: 6px',
+      'font: 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      'color: #6b7280',
+      'background: transparent'
+    ].join(';'));
+    box.textContent = `🛡️ Armorly: ${label} — `;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'show';
+    button.setAttribute('style', [
+      'all: unset',
+      'cursor: pointer',
+      'color: #2563eb',
+      'text-decoration: underline'
+    ].join(';'));
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onShow();
+    });
+
+    box.appendChild(button);
+    root.appendChild(box);
+    return host;
+  }
+
+  // =========================================================================
+  // NEUTRALIZERS
+  // =========================================================================
+
+  /**
+   * Take an ad element off the page according to the current mode.
+   * `label` is shown on the placeholder in 'hide' mode.
+   */
+  function neutralizeElement(element, label) {
+    if (mode !== 'hide') {
+      const reattach = detach(element);
+      registry.push({
+        restore() {
+          if (reattach()) {
+            markRestored(element);
+          }
+        }
+      });
+      return;
+    }
+
+    const previousDisplay = element.style.getPropertyValue('display');
+    const previousPriority = element.style.getPropertyPriority('display');
+    let placeholder = null;
+
+    const entry = {
+      restore() {
+        if (placeholder) {
+          placeholder.remove();
+          placeholder = null;
+        }
+        element.style.setProperty('display', previousDisplay, previousPriority);
+        element.removeAttribute(HIDDEN_ATTR);
+        markRestored(element);
+        const index = registry.indexOf(entry);
+        if (index !== -1) {
+          registry.splice(index, 1);
+        }
+      }
+    };
+
+    placeholder = createPlaceholder(label || 'Sponsored content hidden', () => entry.restore());
+    element.setAttribute(HIDDEN_ATTR, 'true');
+    element.style.setProperty('display', 'none', 'important');
+    if (element.parentNode) {
+      element.parentNode.insertBefore(placeholder, element);
+    }
+    registry.push(entry);
+  }
+
+  /**
+   * Remove all content from an element that hides a prompt injection,
+   * keeping the element itself (and the removed nodes for restore)
+   */
+  function neutralizeContent(element) {
+    const fragment = document.createDocumentFragment();
+    while (element.firstChild) {
+      fragment.appendChild(element.firstChild);
+    }
+
+    registry.push({
+      restore() {
+        if (element.isConnected) {
+          // The element and the content put back, not what is added later
+          markRestored(element);
+          Array.from(fragment.childNodes).forEach(child => markRestored(child, true));
+          element.appendChild(fragment);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remove one attribute, keeping its value for restore
+   */
+  function neutralizeAttribute(element, name) {
+    const value = element.getAttribute(name);
+    element.removeAttribute(name);
+
+    registry.push({
+      restore() {
+        element.setAttribute(name, value);
+        if (!restoredAttributes.has(element)) {
+          restoredAttributes.set(element, new Set());
+        }
+        restoredAttributes.get(element).add(name);
+      }
+    });
+  }
+
+  /**
+   * Replace a node's text (cleaned JSON-LD, a text node with an invisible
+   * payload stripped), keeping the original
+   */
+  function replaceText(node, text) {
+    const original = node.textContent;
+    node.textContent = text;
+
+    registry.push({
+      restore() {
+        node.textContent = original;
+        markRestored(node);
+      }
+    });
+  }
+
+  /**
+   * Add a stylesheet once per document or shadow root (document styles
+   * don't reach into shadow DOM)
+   */
+  function ensureStyle(element, id, css) {
+    const root = element.getRootNode();
+    const inShadow = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot;
+    const scope = inShadow ? root : document;
+
+    if (scope.getElementById(id)) {
+      return;
+    }
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = css;
+    (inShadow ? root : (document.head || document.documentElement)).appendChild(style);
+  }
+
+  function ensurePseudoStyle(element) {
+    ensureStyle(element, 'armorly-pseudo-style',
+      `[${PSEUDO_ATTR}]::before, [${PSEUDO_ATTR}]::after { content: none !important; }`);
+  }
+
+  function ensureFlagStyle(element) {
+    ensureStyle(element, 'armorly-flag-style', [
+      `[${FLAGGED_ATTR}] { outline: 2px dashed #f59e0b !important; outline-offset: 2px !important; }`,
+      `[${FLAGGED_ATTR}]::before { content: "🛡️ Armorly: " attr(${FLAGGED_ATTR}) !important;`,
+      'display: block !important; margin-bottom: 4px !important;',
+      'font: 11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif !important;',
+      'color: #b45309 !important; }'
+    ].join(' '));
+  }
+
+  /**
+   * Blank the ::before / ::after content of an element
+   */
+  function neutralizePseudoContent(element) {
+    if (element.hasAttribute(PSEUDO_ATTR)) {
+      return;
+    }
+    ensurePseudoStyle(element);
+    element.setAttribute(PSEUDO_ATTR, 'true');
+
+    registry.push({
+      restore() {
+        element.removeAttribute(PSEUDO_ATTR);
+        markRestored(element);
+      }
+    });
+  }
+
+  /**
+   * Mark an element without removing it. `label` is shown in a badge
+   * above it.
+   */
+  function flagElement(element, label) {
+    if (element.hasAttribute(FLAGGED_ATTR)) {
+      return;
+    }
+    ensureFlagStyle(element);
+    element.setAttribute(FLAGGED_ATTR, label);
+
+    registry.push({
+      restore() {
+        element.removeAttribute(FLAGGED_ATTR);
+        markRestored(element);
+      }
+    });
+  }
+
+  /**
+   * Whether an element was flagged (flagged elements may still be removed
+   * if a stronger rule matches them later)
+   */
+  function isFlagged(element) {
+    return Boolean(element && element.closest(`[${FLAGGED_ATTR}]`));
+  }
+
+  /**
+   * Remove an HTML comment, keeping it for restore
+   */
+  function neutralizeComment(comment) {
+    const reattach = detach(comment);
+    registry.push({
+      restore() {
+        if (reattach()) {
+          markRestored(comment);
+        }
+      }
+    });
+  }
+
+  /**
+   * Put back everything neutralized on this page. Returns how many items
+   * were restored.
+   */
+  function restoreAll() {
+    const entries = registry.splice(0, registry.length);
+    // Newest first so nested removals unwind in reverse order
+    entries.reverse().forEach(entry => entry.restore());
+    return entries.length;
+  }
+
+  // Popup "Restore removed content" - sent to every frame of the tab
+  if (globalThis.ArmorlyBrowser) {
+    globalThis.ArmorlyBrowser.onMessage('RESTORE_ALL', () => ({ restored: restoreAll() }));
+  }
+
+  globalThis.ArmorlyNeutralizer = {
+    setMode(value) {
+      mode = value === 'hide' ? 'hide' : 'remove';
+    },
+    isHandled,
+    neutralizeElement,
+    neutralizeContent,
+    neutralizePseudoContent,
+    neutralizeAttribute,
+    replaceText,
+    neutralizeComment,
+    flagElement,
+    isFlagged,
+    restoreAll
+  };
+
+})();
@@ -0,0 +1,223 @@
+/**
+ * Armorly - Paste Guard
+ *
+ * Hidden prompt injections do their damage when a user pastes a page into
+ * an AI chat box - and Armorly may never have run on the page it came
+ * from. The guard catches pastes into the platform's chat input (see
+ * `input` on the platform adapters) before the page sees them and hands
+ * the clipboard's text/html and text/plain to `analyze`.
+ *
+ * Clean pastes go through untouched. Otherwise the paste is held and an
+ * inline warning offers:
+ *   Paste cleaned - hidden fragments and invisible characters removed
+ *   Paste anyway  - the original text
+ * Dismissing the warning pastes nothing.
+ */
+
+(function() {
+  'use strict';
+
+  const WARNING_TAG = 'armorly-paste-warning';
+
+  // =========================================================================
+  // INSERTION
+  // =========================================================================
+
+  /**
+   * Remember the caret/selection in `target` so it can be restored after
+   * the user has interacted with the warning
+   */
+  function saveSelection(target) {
+    if (typeof target.selectionStart === 'number') {
+      return { start: target.selectionStart, end: target.selectionEnd };
+    }
+    const selection = window.getSelection();
+    return selection && selection.rangeCount > 0 ? { range: selection.getRangeAt(0).cloneRange() } : null;
+  }
+
+  function restoreSelection(target, saved) {
+    if (!saved) {
+      return;
+    }
+    if (saved.range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(saved.range);
+    } else {
+      target.setSelectionRange(saved.start, saved.end);
+    }
+  }
+
+  /**
+   * Insert text at the caret the way typing would, so editors (React,
+   * ProseMirror, Quill) see a normal input event and undo still works
+   */
+  function insertText(target, saved, text) {
+    target.focus();
+    restoreSelection(target, saved);
+
+    if (document.execCommand && document.execCommand('insertText', false, text)) {
+      return;
+    }
+    if (typeof target.setRangeText === 'function') {
+      target.setRangeText(text, target.selectionStart, target.selectionEnd, 'end');
+      target.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+
+  // =========================================================================
+  // WARNING
+  // =========================================================================
+
+  function createButton(label, primary, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.setAttribute('style', [
+      'all: unset',
+      'cursor: pointer',
+      'padding: 4px 10px',
+      'border-radius: 5px',
+      'font-weight: 600',
+      primary ? 'background: #16a34a; color: #fff' : 'border: 1px solid #d1d5db; color: #374151'
+    ].join(';'));
+    // Keep focus (and the caret) in the chat input
+    button.addEventListener('mousedown', event => event.preventDefault());
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Inline warning just above the chat input. Styles live in a closed
+   * shadow root so page CSS can't restyle or hide it.
+   */
+  function showWarning(target, reasons, onChoice) {
+    document.querySelectorAll(WARNING_TAG).forEach(existing => existing.remove());
+
+    const host = document.createElement(WARNING_TAG);
+    const root = host.attachShadow({ mode: 'closed' });
+    const rect = target.getBoundingClientRect();
+
+    host.setAttribute('style', [
+      'position: fixed',
+      `left: ${Math.max(8, rect.left)}px`,
+      `top: ${Math.max(8, rect.top - 8)}px`,
+      'transform: translateY(-100%)',
+      'z-index: 2147483647'
+    ].join(';'));
+
+    const box = document.createElement('div');
+    box.setAttribute('style', [
+      'max-width: 420px',
+      'padding: 10px 12px',
+      'border: 1px solid #f59e0b',
+      'border-radius: 8px',
+      'background: #fffbeb',
+      'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15)',
+      'font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      'color: #78350f'
+    ].join(';'));
+
+    const title = document.createElement('div');
+    title.setAttribute('style', 'font-weight: 600; margin-bottom: 4px');
+    title.textContent = '🛡️ Armorly: this paste may carry a hidden prompt injection';
+    box.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.setAttribute('style', 'margin: 0 0 8px; padding-left: 18px');
+    reasons.forEach(reason => {
+      const item = document.createElement('li');
+      item.textContent = reason;
+      list.appendChild(item);
+    });
+    box.appendChild(list);
+
+    const close = (choice) => {
+      host.remove();
+      document.removeEventListener('keydown', onKeyDown, true);
+      onChoice(choice);
+    };
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        close('dismiss');
+      }
+    };
+    document.addEventListener('keydown', onKeyDown, true);
+
+    const actions = document.createElement('div');
+    actions.setAttribute('style', 'display: flex; gap: 8px');
+    actions.appendChild(createButton('Paste cleaned', true, () => close('cleaned')));
+    actions.appendChild(createButton('Paste anyway', false, () => close('original')));
+    actions.appendChild(createButton('Cancel', false, () => close('dismiss')));
+    box.appendChild(actions);
+
+    root.appendChild(box);
+    document.documentElement.appendChild(host);
+  }
+
+  // =========================================================================
+  // INTERCEPTION
+  // =========================================================================
+
+  /**
+   * Start guarding pastes.
+   *   input           selector for the chat input
+   *   enabled()       checked on every paste (site policy)
+   *   analyze(html, text)  null for a clean paste, otherwise
+   *                   { original, cleaned, reasons: [string] }
+   *   onDecision(choice, report)  'cleaned', 'original' or 'dismiss'
+   */
+  function start(options) {
+    const { input, analyze, onDecision } = options;
+    const enabled = options.enabled || (() => true);
+
+    function inputFor(event) {
+      for (const node of event.composedPath()) {
+        if (node && node.nodeType === Node.ELEMENT_NODE && node.matches(input)) {
+          return node;
+        }
+      }
+      return null;
+    }
+
+    // Capture phase on window runs before any page handler
+    window.addEventListener('paste', (event) => {
+      const target = event.clipboardData && enabled() ? inputFor(event) : null;
+      if (!target) {
+        return;
+      }
+
+      const report = analyze(
+        event.clipboardData.getData('text/html'),
+        event.clipboardData.getData('text/plain')
+      );
+      if (!report) {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopImmediatePropagation();
+
+      const saved = saveSelection(target);
+      showWarning(target, report.reasons, (choice) => {
+        if (choice === 'cleaned') {
+          insertText(target, saved, report.cleaned);
+        } else if (choice === 'original') {
+          insertText(target, saved, report.original);
+        }
+        if (onDecision) {
+          onDecision(choice, report);
+        }
+      });
+    }, true);
+  }
+
+  globalThis.ArmorlyPasteGuard = {
+    start
+  };
+
+})();
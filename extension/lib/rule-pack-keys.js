@@ -0,0 +1,21 @@
+/**
+ * Armorly - Rule Pack Keys
+ *
+ * Public keys whose signatures rule-packs.js accepts. Each entry is
+ *   { id: 'maintainers-2026', key: '<raw Ed25519 public key, base64>' }
+ * and a pack is accepted when any of them verifies its signature, so a
+ * new key can be added before the old one is dropped.
+ *
+ * The list ships empty: until the release maintainers add the public key
+ * of their signing key, every pack is rejected. To set one up, run
+ *   node tools/sign-rule-pack.js keygen <private-key.pem>
+ * on a machine that keeps the private key (never in this repository) and
+ * paste the entry it prints below.
+ */
+
+(function() {
+  'use strict';
+
+  globalThis.ArmorlyRulePackKeys = [];
+
+})();
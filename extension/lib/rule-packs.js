@@ -0,0 +1,469 @@
+/**
+ * Armorly - Rule Packs
+ *
+ * Ad networks rename SDK globals and classes faster than extension
+ * releases ship. A rule pack is a signed JSON bundle of extra rules that
+ * is merged over the built-in ruleset (ad-rules.js) without a new release.
+ * Packs are imported from a file or fetched from a URL the user chose;
+ * nothing is fetched by default.
+ *
+ * Pack file:
+ *   { "payload": "<pack JSON as a string>", "signature": "<base64>" }
+ * The signature is Ed25519 over the UTF-8 bytes of `payload`, checked
+ * against the trusted keys in rule-pack-keys.js (sign with
+ * tools/sign-rule-pack.js). Without a trusted key no pack is accepted,
+ * `enabled` is false and update() does nothing.
+ * The payload:
+ *   {
+ *     "format": "armorly-rule-pack",
+ *     "name": "Weekly AI ad update",
+ *     "version": "1.4.0",
+ *     "schemaVersion": 2,                  // must match rule-schema.js
+ *     "rules": {
+ *       "sdks": { ... },                   // added or replaced by id
+ *       "selectors": { ... },              // added or replaced by id
+ *       "adLabels": { "exact": [], "patterns": [] },
+ *       "affiliateParams": [],             // added to the built-in lists
+ *       "redirectDomains": [],
+ *       "injectionPhrases": [{ "id", "weight", "pattern" }]
+ *     }
+ *   }
+ *
+ * The merged ruleset has to pass the same schema validation as the
+ * built-in one. The last MAX_HISTORY packs are kept so a pack that breaks
+ * things can be rolled back to the one before it, or to the built-in
+ * rules.
+ */
+
+(function() {
+  'use strict';
+
+  const FORMAT = 'armorly-rule-pack';
+  const STORAGE_KEY = 'rulePacks';
+  const MAX_HISTORY = 3;
+
+  const SECTIONS = ['sdks', 'selectors', 'adLabels', 'affiliateParams', 'redirectDomains', 'injectionPhrases'];
+
+  const SEMVER = /^(\d+)\.(\d+)\.(\d+)$/;
+  const PHRASE_ID = /^[a-z0-9-]+$/;
+
+  // Pack applied in this context, or null for the built-in rules
+  let activePack = null;
+  let readyPromise = null;
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Configured keys ({ id, key }), copied once when this script loads so
+  // nothing that runs later can add or swap one
+  const TRUSTED_KEYS = Object.freeze(
+    (Array.isArray(globalThis.ArmorlyRulePackKeys) ? globalThis.ArmorlyRulePackKeys : [])
+      .filter(entry => isPlainObject(entry) && typeof entry.key === 'string')
+      .map(entry => Object.freeze({ id: String(entry.id), key: entry.key }))
+  );
+
+  function decodeBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  // =========================================================================
+  // CHECKING
+  // =========================================================================
+
+  /**
+   * Whether one of `keys` signed `payload`
+   */
+  async function verifySignature(payload, signature, keys) {
+    const data = new TextEncoder().encode(payload);
+    const signatureBytes = decodeBase64(signature);
+    for (const entry of keys) {
+      const key = await crypto.subtle.importKey(
+        'raw', decodeBase64(entry.key), { name: 'Ed25519' }, false, ['verify']
+      );
+      if (await crypto.subtle.verify({ name: 'Ed25519' }, key, signatureBytes, data)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function checkPhrases(errors, phrases) {
+    if (!Array.isArray(phrases)) {
+      errors.push('rules.injectionPhrases: expected an array');
+      return;
+    }
+    phrases.forEach((phrase, i) => {
+      const path = `rules.injectionPhrases[${i}]`;
+      if (!isPlainObject(phrase)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (typeof phrase.id !== 'string' || !PHRASE_ID.test(phrase.id)) {
+        errors.push(`${path}.id: expected lowercase letters, digits and dashes`);
+      }
+      if (typeof phrase.weight !== 'number' || !(phrase.weight > 0 && phrase.weight <= 1)) {
+        errors.push(`${path}.weight: expected a number above 0 and at most 1`);
+      }
+      if (typeof phrase.pattern !== 'string' || phrase.pattern === '') {
+        errors.push(`${path}.pattern: expected a non-empty string`);
+        return;
+      }
+      try {
+        new RegExp(phrase.pattern, 'iu');
+      } catch (error) {
+        errors.push(`${path}.pattern: invalid regular expression (${error.message})`);
+      }
+    });
+  }
+
+  /**
+   * Shape of a pack payload (section contents are checked on the merged
+   * ruleset by rule-schema.js)
+   */
+  function checkPack(pack) {
+    const errors = [];
+    if (!isPlainObject(pack)) {
+      return ['payload: expected an object'];
+    }
+    if (pack.format !== FORMAT) {
+      errors.push(`format: expected "${FORMAT}"`);
+    }
+    if (typeof pack.name !== 'string' || pack.name.trim() === '') {
+      errors.push('name: expected a non-empty string');
+    }
+    if (typeof pack.version !== 'string' || !SEMVER.test(pack.version)) {
+      errors.push('version: expected a version such as "1.4.0"');
+    }
+    const schemaVersion = globalThis.ArmorlyRuleSchema.SCHEMA_VERSION;
+    if (pack.schemaVersion !== schemaVersion) {
+      errors.push(`schemaVersion: expected ${schemaVersion}, got ${JSON.stringify(pack.schemaVersion)}`);
+    }
+    if (!isPlainObject(pack.rules)) {
+      errors.push('rules: expected an object');
+      return errors;
+    }
+
+    Object.keys(pack.rules).forEach(section => {
+      if (!SECTIONS.includes(section)) {
+        errors.push(`rules.${section}: not allowed in a rule pack`);
+      }
+    });
+    ['sdks', 'selectors', 'adLabels'].forEach(section => {
+      if (pack.rules[section] !== undefined && !isPlainObject(pack.rules[section])) {
+        errors.push(`rules.${section}: expected an object`);
+      }
+    });
+    ['affiliateParams', 'redirectDomains'].forEach(section => {
+      if (pack.rules[section] !== undefined && !Array.isArray(pack.rules[section])) {
+        errors.push(`rules.${section}: expected an array`);
+      }
+    });
+    if (pack.rules.injectionPhrases !== undefined) {
+      checkPhrases(errors, pack.rules.injectionPhrases);
+    }
+    return errors;
+  }
+
+  /**
+   * Check a pack file's text: signature, payload and the ruleset it
+   * merges into. Resolves to { valid, pack, file, errors }.
+   */
+  async function parse(text) {
+    const invalid = errors => ({ valid: false, pack: null, file: null, errors });
+
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch {
+      return invalid(['file: not valid JSON']);
+    }
+    if (!isPlainObject(file) || typeof file.payload !== 'string' || typeof file.signature !== 'string') {
+      return invalid(['file: expected { payload, signature }']);
+    }
+
+    if (TRUSTED_KEYS.length === 0) {
+      return invalid(['signature: no trusted signing key is configured (lib/rule-pack-keys.js)']);
+    }
+    try {
+      if (!(await verifySignature(file.payload, file.signature, TRUSTED_KEYS))) {
+        return invalid(['signature: does not match a trusted signing key']);
+      }
+    } catch (error) {
+      return invalid([`signature: could not be checked (${error.message})`]);
+    }
+
+    let pack;
+    try {
+      pack = JSON.parse(file.payload);
+    } catch {
+      return invalid(['payload: not valid JSON']);
+    }
+    const errors = checkPack(pack);
+    if (errors.length > 0) {
+      return invalid(errors);
+    }
+
+    const result = globalThis.ArmorlyRuleSchema.validate(merge(globalThis.ArmorlyAdRules, pack));
+    if (!result.valid) {
+      return invalid(result.errors);
+    }
+    return { valid: true, pack, file, errors: [] };
+  }
+
+  // =========================================================================
+  // MERGING
+  // =========================================================================
+
+  function union(base, extra) {
+    return [...new Set(base.concat(extra || []))];
+  }
+
+  /**
+   * Built-in ruleset `base` with `pack` merged over it. The result's
+   * version records the pack ("2.7.0+pack.1.4.0").
+   */
+  function merge(base, pack) {
+    const rules = JSON.parse(JSON.stringify(base));
+    const extra = pack.rules;
+
+    Object.assign(rules.sdks, extra.sdks);
+    Object.assign(rules.selectors, extra.selectors);
+    if (extra.adLabels) {
+      rules.adLabels.exact = union(rules.adLabels.exact, extra.adLabels.exact);
+      rules.adLabels.patterns = union(rules.adLabels.patterns, extra.adLabels.patterns);
+    }
+    rules.affiliateParams = union(rules.affiliateParams, extra.affiliateParams);
+    rules.redirectDomains = union(rules.redirectDomains, extra.redirectDomains);
+    rules.version = `${base.version}+pack.${pack.version}`;
+    return rules;
+  }
+
+  /**
+   * Rebuild ArmorlyAdPatterns (in place, so holders of the object see the
+   * change) and the classifier's extra phrases from `pack`, or from the
+   * built-in rules when `pack` is null. A pack that no longer fits the
+   * built-in rules (e.g. after an extension update) is dropped.
+   */
+  function apply(pack) {
+    const patterns = globalThis.ArmorlyAdPatterns;
+    const loader = globalThis.ArmorlyPatternLoader;
+    if (!patterns || !loader) {
+      return false;
+    }
+
+    const compiled = loader.load(pack ? merge(globalThis.ArmorlyAdRules, pack) : globalThis.ArmorlyAdRules);
+    if (!compiled) {
+      return pack ? apply(null) && false : false;
+    }
+    Object.assign(patterns, compiled);
+
+    const classifier = globalThis.ArmorlyInjectionClassifier;
+    if (classifier) {
+      classifier.setExtraPhrases(pack && pack.rules.injectionPhrases ? pack.rules.injectionPhrases : []);
+    }
+    activePack = pack;
+    return true;
+  }
+
+  // =========================================================================
+  // STORAGE (chrome.storage.local - packs can outgrow sync quotas)
+  // =========================================================================
+
+  function hasStorage() {
+    return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local;
+  }
+
+  /**
+   * Stored state: { installed: [entry], url } with the active pack first.
+   * Each entry is { file, name, version, source, installedAt }.
+   */
+  async function load() {
+    const empty = { installed: [], url: '' };
+    if (!hasStorage()) {
+      return empty;
+    }
+    try {
+      const data = await chrome.storage.local.get(STORAGE_KEY);
+      return Object.assign(empty, data[STORAGE_KEY]);
+    } catch {
+      return empty;
+    }
+  }
+
+  async function save(state) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+    return state;
+  }
+
+  /**
+   * Active pack payload from a stored state, or null. Signatures were
+   * checked at install; only the extension can write its local storage.
+   */
+  function activeFrom(state) {
+    const entry = state.installed[0];
+    if (!entry) {
+      return null;
+    }
+    try {
+      return JSON.parse(entry.file.payload);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Load and apply the active pack once per context. Resolves to the pack
+   * or null.
+   */
+  function ready() {
+    if (!readyPromise) {
+      readyPromise = load().then(state => {
+        const pack = activeFrom(state);
+        if (pack && !apply(pack)) {
+          console.warn('[Armorly] Rule pack no longer fits the built-in rules, using built-in rules');
+        }
+        return activePack;
+      });
+    }
+    return readyPromise;
+  }
+
+  /**
+   * Check and install a pack file. `source` is 'file' or the URL it came
+   * from. Resolves to the parse() result.
+   */
+  async function install(text, source) {
+    const result = await parse(text);
+    if (!result.valid) {
+      return result;
+    }
+
+    const state = await load();
+    state.installed = [{
+      file: result.file,
+      name: result.pack.name,
+      version: result.pack.version,
+      source,
+      installedAt: Date.now()
+    }].concat(state.installed).slice(0, MAX_HISTORY);
+    await save(state);
+    return result;
+  }
+
+  /**
+   * Drop the active pack; the one installed before it (or the built-in
+   * rules) takes over
+   */
+  async function rollback() {
+    const state = await load();
+    state.installed = state.installed.slice(1);
+    return save(state);
+  }
+
+  /**
+   * Back to the built-in rules, forgetting every installed pack
+   */
+  async function removeAll() {
+    const state = await load();
+    state.installed = [];
+    return save(state);
+  }
+
+  async function setUrl(url) {
+    const state = await load();
+    state.url = url;
+    return save(state);
+  }
+
+  // =========================================================================
+  // URL UPDATES
+  // =========================================================================
+
+  function compareVersions(a, b) {
+    const left = a.match(SEMVER).slice(1).map(Number);
+    const right = b.match(SEMVER).slice(1).map(Number);
+    for (let i = 0; i < 3; i++) {
+      if (left[i] !== right[i]) {
+        return left[i] - right[i];
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Fetch the pack at the configured URL and install it if it is newer
+   * than the active pack. Resolves to { updated, pack, errors }.
+   */
+  async function update() {
+    if (TRUSTED_KEYS.length === 0) {
+      return { updated: false, pack: null, errors: [] };
+    }
+    const state = await load();
+    if (!state.url) {
+      return { updated: false, pack: null, errors: [] };
+    }
+
+    let text;
+    try {
+      const url = new URL(state.url);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('only http(s) URLs are supported');
+      }
+      const response = await fetch(url, { cache: 'no-store', credentials: 'omit' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      text = await response.text();
+    } catch (error) {
+      return { updated: false, pack: null, errors: [`url: could not fetch the pack (${error.message})`] };
+    }
+
+    const result = await parse(text);
+    if (!result.valid) {
+      return { updated: false, pack: null, errors: result.errors };
+    }
+    const current = state.installed[0];
+    if (current && compareVersions(result.pack.version, current.version) <= 0) {
+      return { updated: false, pack: result.pack, errors: [] };
+    }
+
+    const installed = await install(text, state.url);
+    return { updated: installed.valid, pack: installed.pack, errors: installed.errors };
+  }
+
+  /**
+   * Call `callback(state)` whenever installed packs change in any context
+   */
+  function onChanged(callback) {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+      return;
+    }
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEY]) {
+        callback(Object.assign({ installed: [], url: '' }, changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  globalThis.ArmorlyRulePacks = {
+    // Whether a signing key is configured, so packs can be installed
+    enabled: TRUSTED_KEYS.length > 0,
+    FORMAT,
+    STORAGE_KEY,
+    MAX_HISTORY,
+    parse,
+    merge,
+    apply,
+    activeFrom,
+    ready,
+    load,
+    install,
+    rollback,
+    removeAll,
+    setUrl,
+    update,
+    onChanged
+  };
+
+})();
@@ -0,0 +1,318 @@
+/**
+ * Armorly - Rule Schema Validator
+ *
+ * Checks a declarative ruleset (see ad-rules.js) before it is compiled.
+ * A malformed rule is rejected here rather than surfacing later as a
+ * broken selector, a regex that throws, or an SDK global that can never
+ * be intercepted.
+ *
+ * validate() never throws. It returns { valid, errors } where each error
+ * is a human-readable string naming the offending path, e.g.
+ *   "sdks.koah.methods[2]: not a valid JavaScript identifier"
+ */
+
+(function() {
+  'use strict';
+
+  const SCHEMA_VERSION = 2;
+
+  // Detectors a platform adapter can opt into (implemented by the content
+  // scripts)
+  const HEURISTICS = ['labeled-follow-ups'];
+
+  const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+  const HOSTNAME = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*$/;
+  const SEMVER = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+  const URL_PARAM = /^[A-Za-z0-9_.\-[\]]+$/;
+
+  // =========================================================================
+  // PRIMITIVE CHECKS
+  // =========================================================================
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Validate an array of non-empty strings, running `check` on each entry.
+   * `check` returns an error message or null.
+   */
+  function checkStringList(errors, path, value, check) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: expected an array`);
+      return;
+    }
+
+    value.forEach((entry, i) => {
+      if (typeof entry !== 'string' || entry.trim() === '') {
+        errors.push(`${path}[${i}]: expected a non-empty string`);
+        return;
+      }
+      const problem = check ? check(entry) : null;
+      if (problem) {
+        errors.push(`${path}[${i}]: ${problem}`);
+      }
+    });
+  }
+
+  function checkIdentifier(value) {
+    return IDENTIFIER.test(value) ? null : 'not a valid JavaScript identifier';
+  }
+
+  // Global or nested namespace, e.g. 'Koah' or 'Luzia.ads'
+  function checkGlobalPath(value) {
+    return value.split('.').every(segment => IDENTIFIER.test(segment))
+      ? null
+      : 'not a valid global path (identifiers joined by ".")';
+  }
+
+  function checkHostname(value) {
+    return HOSTNAME.test(value) ? null : 'not a valid lowercase hostname';
+  }
+
+  function checkUrlParam(value) {
+    return URL_PARAM.test(value) ? null : 'not a valid query parameter name';
+  }
+
+  function checkLowercase(value) {
+    return value === value.toLowerCase() ? null : 'must be lowercase';
+  }
+
+  function checkRegex(value) {
+    try {
+      new RegExp(value, 'i');
+      return null;
+    } catch (error) {
+      return `invalid regular expression (${error.message})`;
+    }
+  }
+
+  function checkSelector(value) {
+    // Outside a DOM (e.g. a service worker) selectors cannot be parsed;
+    // the content script still guards each querySelectorAll call.
+    if (typeof document === 'undefined' || !document.createDocumentFragment) {
+      return null;
+    }
+    try {
+      document.createDocumentFragment().querySelector(value);
+      return null;
+    } catch {
+      return 'invalid CSS selector';
+    }
+  }
+
+  function checkSelectorField(errors, path, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      errors.push(`${path}: expected a non-empty string`);
+      return;
+    }
+    const problem = checkSelector(value);
+    if (problem) {
+      errors.push(`${path}: ${problem}`);
+    }
+  }
+
+  // =========================================================================
+  // SECTION CHECKS
+  // =========================================================================
+
+  function checkSDKs(errors, sdks) {
+    if (!isPlainObject(sdks)) {
+      errors.push('sdks: expected an object');
+      return;
+    }
+
+    Object.keys(sdks).forEach(id => {
+      const sdk = sdks[id];
+      const path = `sdks.${id}`;
+
+      if (!isPlainObject(sdk)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (typeof sdk.name !== 'string' || sdk.name.trim() === '') {
+        errors.push(`${path}.name: expected a non-empty string`);
+      }
+
+      checkStringList(errors, `${path}.globals`, sdk.globals, checkGlobalPath);
+      if (sdk.queues !== undefined) {
+        checkStringList(errors, `${path}.queues`, sdk.queues, checkGlobalPath);
+      }
+      checkStringList(errors, `${path}.methods`, sdk.methods, checkIdentifier);
+      checkStringList(errors, `${path}.scriptPatterns`, sdk.scriptPatterns, checkRegex);
+      checkStringList(errors, `${path}.domains`, sdk.domains, checkHostname);
+      if (sdk.network !== undefined) {
+        checkStringList(errors, `${path}.network`, sdk.network, checkHostname);
+      }
+    });
+  }
+
+  function checkSelectors(errors, selectors) {
+    if (!isPlainObject(selectors)) {
+      errors.push('selectors: expected an object');
+      return;
+    }
+    if (!isPlainObject(selectors.generic)) {
+      errors.push('selectors.generic: required platform is missing');
+    }
+
+    Object.keys(selectors).forEach(platform => {
+      const group = selectors[platform];
+      const path = `selectors.${platform}`;
+
+      if (!isPlainObject(group)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (group.hosts !== undefined) {
+        checkStringList(errors, `${path}.hosts`, group.hosts, checkHostname);
+      }
+      checkStringList(errors, `${path}.selectors`, group.selectors, checkSelector);
+    });
+  }
+
+  function checkPlatforms(errors, platforms) {
+    if (!isPlainObject(platforms)) {
+      errors.push('platforms: expected an object');
+      return;
+    }
+
+    Object.keys(platforms).forEach(id => {
+      const adapter = platforms[id];
+      const path = `platforms.${id}`;
+
+      if (!isPlainObject(adapter)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (typeof adapter.name !== 'string' || adapter.name.trim() === '') {
+        errors.push(`${path}.name: expected a non-empty string`);
+      }
+
+      checkStringList(errors, `${path}.hosts`, adapter.hosts, checkHostname);
+      checkSelectorField(errors, `${path}.conversation`, adapter.conversation);
+      checkSelectorField(errors, `${path}.message`, adapter.message);
+      ['input', 'streaming', 'followUps', 'followUpItem'].forEach(field => {
+        if (adapter[field] !== undefined) {
+          checkSelectorField(errors, `${path}.${field}`, adapter[field]);
+        }
+      });
+      if (adapter.followUpItem !== undefined && adapter.followUps === undefined) {
+        errors.push(`${path}.followUpItem: requires followUps`);
+      }
+
+      checkStringList(errors, `${path}.adSlots`, adapter.adSlots, checkSelector);
+      if (adapter.candidateSlots !== undefined) {
+        checkStringList(errors, `${path}.candidateSlots`, adapter.candidateSlots, checkSelector);
+      }
+      if (adapter.heuristics !== undefined) {
+        checkStringList(errors, `${path}.heuristics`, adapter.heuristics, value =>
+          HEURISTICS.includes(value) ? null : 'unknown heuristic'
+        );
+      }
+    });
+  }
+
+  function checkRedirectors(errors, redirectors) {
+    if (!isPlainObject(redirectors)) {
+      errors.push('redirectors: expected an object');
+      return;
+    }
+
+    Object.keys(redirectors).forEach(id => {
+      const redirector = redirectors[id];
+      const path = `redirectors.${id}`;
+
+      if (!isPlainObject(redirector)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      checkStringList(errors, `${path}.hosts`, redirector.hosts, checkHostname);
+      if (redirector.params === undefined && redirector.pathPatterns === undefined) {
+        errors.push(`${path}: expected params or pathPatterns`);
+      }
+      if (redirector.params !== undefined) {
+        checkStringList(errors, `${path}.params`, redirector.params, checkUrlParam);
+      }
+      if (redirector.pathPatterns !== undefined) {
+        checkStringList(errors, `${path}.pathPatterns`, redirector.pathPatterns, checkRegex);
+      }
+      if (redirector.paths !== undefined) {
+        checkStringList(errors, `${path}.paths`, redirector.paths, value =>
+          value.startsWith('/') ? null : 'must start with "/"'
+        );
+      }
+    });
+  }
+
+  function checkAdLabels(errors, adLabels) {
+    if (!isPlainObject(adLabels)) {
+      errors.push('adLabels: expected an object');
+      return;
+    }
+    checkStringList(errors, 'adLabels.exact', adLabels.exact, checkLowercase);
+    checkStringList(errors, 'adLabels.patterns', adLabels.patterns, checkRegex);
+  }
+
+  function checkCommercialIntent(errors, intent) {
+    if (!isPlainObject(intent)) {
+      errors.push('commercialIntent: expected an object');
+      return;
+    }
+    ['cta', 'urgency', 'discount'].forEach(kind => {
+      checkStringList(errors, `commercialIntent.${kind}`, intent[kind], checkRegex);
+    });
+  }
+
+  function checkProductCards(errors, cards) {
+    if (!isPlainObject(cards)) {
+      errors.push('productCards: expected an object');
+      return;
+    }
+    ['price', 'rating', 'buyButtons', 'logos'].forEach(kind => {
+      checkStringList(errors, `productCards.${kind}`, cards[kind], checkRegex);
+    });
+  }
+
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+
+  /**
+   * Validate a complete ruleset
+   */
+  function validate(rules) {
+    const errors = [];
+
+    if (!isPlainObject(rules)) {
+      return { valid: false, errors: ['ruleset: expected an object'] };
+    }
+
+    if (rules.schemaVersion !== SCHEMA_VERSION) {
+      errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${JSON.stringify(rules.schemaVersion)}`);
+    }
+    if (typeof rules.version !== 'string' || !SEMVER.test(rules.version)) {
+      errors.push('version: expected a semantic version string such as "2.1.0"');
+    }
+
+    checkSDKs(errors, rules.sdks);
+    checkSelectors(errors, rules.selectors);
+    checkPlatforms(errors, rules.platforms);
+    checkAdLabels(errors, rules.adLabels);
+    checkStringList(errors, 'affiliateParams', rules.affiliateParams, checkUrlParam);
+    checkStringList(errors, 'redirectDomains', rules.redirectDomains, checkHostname);
+    checkRedirectors(errors, rules.redirectors);
+    checkStringList(errors, 'commercialDomains', rules.commercialDomains, checkHostname);
+    checkCommercialIntent(errors, rules.commercialIntent);
+    checkProductCards(errors, rules.productCards);
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  globalThis.ArmorlyRuleSchema = {
+    SCHEMA_VERSION,
+    HEURISTICS,
+    validate
+  };
+
+})();
@@ -0,0 +1,216 @@
+/**
+ * Armorly - Scan Scheduler
+ *
+ * Streaming chat UIs insert nodes many times a second. Rescanning the whole
+ * document on every insertion re-walks long conversations constantly, so
+ * after the first full scan the content scripts only scan what changed:
+ *
+ * - Added subtrees and elements whose watched attributes changed are
+ *   queued; nested entries collapse into their outermost queued ancestor
+ * - The queue is drained when the browser is idle (requestIdleCallback,
+ *   with a timeout so work never waits too long)
+ * - Each drain starts no new root once TIME_BUDGET_MS has passed and
+ *   leaves the rest for the next idle period, so a burst of insertions
+ *   can't block a frame. The budget is checked between roots: a root that
+ *   was started is scanned to the end, so one very large added subtree
+ *   can still run over it.
+ *
+ * Every scan is timed. The popup reads the numbers with GET_SCAN_TIMINGS
+ * to confirm Armorly stays within a few milliseconds per frame.
+ */
+
+(function() {
+  'use strict';
+
+  // Work per drain before yielding back to the page, checked between roots
+  const TIME_BUDGET_MS = 4;
+
+  // name -> { batches, roots, totalMs, maxMs, fullScans, fullScanMs }
+  const timings = {};
+
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  function timingFor(name) {
+    if (!timings[name]) {
+      timings[name] = { batches: 0, roots: 0, totalMs: 0, maxMs: 0, fullScans: 0, fullScanMs: 0 };
+    }
+    return timings[name];
+  }
+
+  /**
+   * Parent across shadow boundaries (a shadow root's parent is its host)
+   */
+  function parentOf(node) {
+    if (node.parentNode) {
+      return node.parentNode;
+    }
+    return node.host || null;
+  }
+
+  /**
+   * Drop disconnected nodes and nodes inside another queued node
+   */
+  function outermost(nodes) {
+    const queued = new Set(nodes);
+    return nodes.filter(node => {
+      if (!node.isConnected) {
+        return false;
+      }
+      for (let parent = parentOf(node); parent; parent = parentOf(parent)) {
+        if (queued.has(parent)) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Run `callback` when the browser is idle, or after `timeout` ms at most
+   */
+  function whenIdle(callback, timeout) {
+    if (typeof requestIdleCallback === 'function') {
+      requestIdleCallback(callback, { timeout });
+    } else {
+      setTimeout(() => callback(null), Math.min(timeout, 50));
+    }
+  }
+
+  /**
+   * Create an incremental scanner.
+   *   name            key for the timing counters
+   *   scan(root)      scans one root: the document, a shadow root or an element
+   *   attributeFilter attributes whose changes queue their element again
+   *   maxDelay        longest wait for an idle period, in ms
+   *   enabled()       checked before each drain (site policy)
+   * Returns { scanAll, start }.
+   */
+  function create(options) {
+    const { name, scan, attributeFilter, maxDelay } = options;
+    const enabled = options.enabled || (() => true);
+    const timing = timingFor(name);
+    const pending = new Set();
+    let scheduled = false;
+
+    function drain(deadline) {
+      scheduled = false;
+      if (!enabled()) {
+        pending.clear();
+        return;
+      }
+
+      const roots = outermost(Array.from(pending));
+      pending.clear();
+
+      const budget = deadline && !deadline.didTimeout
+        ? Math.min(TIME_BUDGET_MS, deadline.timeRemaining())
+        : TIME_BUDGET_MS;
+      const start = now();
+      let processed = 0;
+
+      for (const root of roots) {
+        // Always make progress, then stop once the budget is spent
+        if (processed > 0 && now() - start >= budget) {
+          roots.slice(processed).forEach(rest => pending.add(rest));
+          schedule();
+          break;
+        }
+        scan(root);
+        processed++;
+      }
+
+      const elapsed = now() - start;
+      timing.batches++;
+      timing.roots += processed;
+      timing.totalMs += elapsed;
+      timing.maxMs = Math.max(timing.maxMs, elapsed);
+    }
+
+    function schedule() {
+      if (!scheduled) {
+        scheduled = true;
+        whenIdle(drain, maxDelay);
+      }
+    }
+
+    function enqueue(node) {
+      if (node && (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.DOCUMENT_FRAGMENT_NODE)) {
+        pending.add(node);
+      }
+    }
+
+    function handleMutations(mutations) {
+      mutations.forEach(mutation => {
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach(node => {
+            // Streamed text lands as new text nodes; rescan their parent
+            enqueue(node.nodeType === Node.TEXT_NODE ? node.parentElement : node);
+          });
+        } else if (mutation.type === 'characterData') {
+          enqueue(mutation.target.parentElement);
+        } else {
+          enqueue(mutation.target);
+        }
+      });
+
+      if (pending.size > 0) {
+        schedule();
+      }
+    }
+
+    /**
+     * Scan the whole document now (first load, window 'load')
+     */
+    function scanAll() {
+      if (!enabled()) {
+        return;
+      }
+      const start = now();
+      scan(document);
+      timing.fullScans++;
+      timing.fullScanMs = now() - start;
+    }
+
+    /**
+     * Start queuing changes from the document and its shadow roots
+     */
+    function start() {
+      const observeOptions = { characterData: true };
+      if (attributeFilter) {
+        observeOptions.attributeFilter = attributeFilter;
+      }
+      window.ArmorlyDom.observe(handleMutations, observeOptions);
+    }
+
+    return { scanAll, start };
+  }
+
+  /**
+   * Timing counters for every scanner in this frame, with averages
+   */
+  function getTimings() {
+    const result = {};
+    Object.keys(timings).forEach(name => {
+      const timing = timings[name];
+      result[name] = Object.assign({}, timing, {
+        avgMs: timing.batches > 0 ? timing.totalMs / timing.batches : 0
+      });
+    });
+    return result;
+  }
+
+  // Popup performance line - only the top frame answers, so a broadcast
+  // can't be answered by whichever subframe replies first
+  if (globalThis.ArmorlyBrowser && window === window.top) {
+    globalThis.ArmorlyBrowser.onMessage('GET_SCAN_TIMINGS', () => ({ timings: getTimings() }));
+  }
+
+  globalThis.ArmorlyScanScheduler = {
+    TIME_BUDGET_MS,
+    create,
+    getTimings
+  };
+
+})();
@@ -0,0 +1,87 @@
+/**
+ * Armorly - User Settings
+ *
+ * Global preferences stored in chrome.storage.sync, shared by the content
+ * scripts, popup and options page. Per-site rules live in site-policy.js;
+ * this module holds everything that applies everywhere.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+
+  const DEFAULTS = {
+    // 'remove' deletes matched ads; 'hide' collapses them behind a
+    // click-to-reveal placeholder and keeps the original DOM
+    removalMode: 'remove',
+
+    // Classifier score (0-1) at which text counts as a prompt injection;
+    // lower catches more paraphrases, higher removes less
+    injectionThreshold: 0.7,
+
+    // Unlabeled product cards the commerce detector scores as likely
+    // commercial: 'flag' outlines them, 'remove' treats them like ads
+    // (following removalMode), 'off' leaves them alone
+    commercialCards: 'flag',
+
+    // Block requests to known ad SDK hosts (scripts, ad requests,
+    // impression beacons) before they load. Off by default; the
+    // networkBlocking site feature turns it off per site.
+    networkBlocking: false
+  };
+
+  function hasStorage() {
+    return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
+  }
+
+  /**
+   * Load settings merged over the defaults. Resolves to the defaults when
+   * storage is unavailable.
+   */
+  async function load() {
+    if (!hasStorage()) {
+      return Object.assign({}, DEFAULTS);
+    }
+    try {
+      const data = await chrome.storage.sync.get(STORAGE_KEY);
+      return Object.assign({}, DEFAULTS, data[STORAGE_KEY]);
+    } catch {
+      return Object.assign({}, DEFAULTS);
+    }
+  }
+
+  /**
+   * Save a partial update, keeping settings it does not mention
+   */
+  async function update(changes) {
+    const settings = Object.assign(await load(), changes);
+    if (hasStorage()) {
+      await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    }
+    return settings;
+  }
+
+  /**
+   * Call `callback(settings)` whenever settings change in any context
+   */
+  function onChanged(callback) {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+      return;
+    }
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[STORAGE_KEY]) {
+        callback(Object.assign({}, DEFAULTS, changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  globalThis.ArmorlySettings = {
+    DEFAULTS,
+    STORAGE_KEY,
+    load,
+    update,
+    onChanged
+  };
+
+})();
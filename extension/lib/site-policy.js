@@ -0,0 +1,337 @@
+/**
+ * Armorly - Site Policy Engine
+ *
+ * Single source of truth for where Armorly runs and which protections are
+ * active. The content scripts and the popup all consult this module, so the
+ * popup can never report "Monitoring" on a page the content scripts skipped.
+ *
+ * A rule matches on host pattern and optional path prefix:
+ *   { host: 'reddit.com' }                    - reddit.com and any subdomain
+ *   { host: '*.google.com' }                  - subdomains of google.com only
+ *   { host: 'chat.*.example' }                - '*' matches within a hostname
+ *   { host: 'x.com', path: '/i/grok' }        - only under /i/grok
+ *
+ * Rules are checked in order and the first match wins, so put path-specific
+ * rules before the host-wide rule they refine. A rule either skips the site
+ * entirely (`skip: true`) or overrides individual features; features it
+ * does not mention stay on.
+ *
+ * User overrides (options page / popup toggle) use the same rule format,
+ * live in chrome.storage.sync and are checked before the default rules.
+ */
+
+(function() {
+  'use strict';
+
+  // =========================================================================
+  // FEATURES
+  // =========================================================================
+
+  const FEATURES = [
+    'sdkInterception',    // Neutralize ad SDK globals
+    'adRemoval',          // Remove sponsored elements and labels
+    'affiliateCleaning',  // Strip tracking params from links
+    'promptInjection',    // Remove hidden prompt injections
+    'networkBlocking'     // Block ad SDK requests (also needs the global
+                          // networkBlocking setting, which is off by default)
+  ];
+
+  function allFeatures(value) {
+    const features = {};
+    FEATURES.forEach(feature => {
+      features[feature] = value;
+    });
+    return features;
+  }
+
+  // =========================================================================
+  // DEFAULT RULES - Skip sites that are NOT AI chatbots
+  // =========================================================================
+
+  const DEFAULT_RULES = [
+    // Google Workspace
+    { host: 'mail.google.com', skip: true },
+    { host: 'calendar.google.com', skip: true },
+    { host: 'docs.google.com', skip: true },
+    { host: 'sheets.google.com', skip: true },
+    { host: 'slides.google.com', skip: true },
+    { host: 'drive.google.com', skip: true },
+    { host: 'meet.google.com', skip: true },
+    { host: 'chat.google.com', skip: true },
+    { host: 'contacts.google.com', skip: true },
+    { host: 'keep.google.com', skip: true },
+    { host: 'tasks.google.com', skip: true },
+    { host: 'photos.google.com', skip: true },
+
+    // Media
+    { host: 'youtube.com', skip: true },
+    { host: 'netflix.com', skip: true },
+    { host: 'spotify.com', skip: true },
+
+    // Developer sites
+    { host: 'github.com', skip: true },
+    { host: 'gitlab.com', skip: true },
+    { host: 'bitbucket.org', skip: true },
+    { host: 'stackoverflow.com', skip: true },
+
+    // Social
+    { host: 'reddit.com', skip: true },
+    { host: 'twitter.com', skip: true },
+    { host: 'facebook.com', skip: true },
+    { host: 'instagram.com', skip: true },
+    { host: 'linkedin.com', skip: true },
+
+    // Shopping
+    { host: 'amazon.com', skip: true },
+    { host: 'ebay.com', skip: true },
+
+    // Grok gets full protection; the rest of x.com only needs promoted
+    // content removed (timelines are not a chatbot surface)
+    { host: 'x.com', path: '/i/grok' },
+    {
+      host: 'x.com',
+      features: { sdkInterception: false, affiliateCleaning: false, promptInjection: false }
+    }
+  ];
+
+  // =========================================================================
+  // MATCHING
+  // =========================================================================
+
+  // What a '*' in a host pattern can stand for
+  const HOST_CHARS = /^[a-z0-9.-]*$/;
+
+  /**
+   * Whether `host` matches `target`, a pattern where each '*' stands for
+   * any run of host characters
+   */
+  function matchesWildcard(target, host) {
+    const parts = target.split('*');
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    const end = host.length - last.length;
+    if (end < first.length || !host.startsWith(first) || !host.endsWith(last)) {
+      return false;
+    }
+
+    let index = first.length;
+    for (const part of parts.slice(1, -1)) {
+      const found = host.indexOf(part, index);
+      if (found === -1 || found + part.length > end || !HOST_CHARS.test(host.slice(index, found))) {
+        return false;
+      }
+      index = found + part.length;
+    }
+    return HOST_CHARS.test(host.slice(index, end));
+  }
+
+  /**
+   * Check a hostname against a host pattern
+   */
+  function matchesHost(pattern, hostname) {
+    const host = hostname.toLowerCase();
+    const target = pattern.toLowerCase();
+
+    if (!target.includes('*')) {
+      return host === target || host.endsWith('.' + target);
+    }
+
+    return matchesWildcard(target, host);
+  }
+
+  /**
+   * Check a pathname against a path prefix (segment-aware: '/i/grok'
+   * matches '/i/grok' and '/i/grok/abc' but not '/i/grokking')
+   */
+  function matchesPath(prefix, pathname) {
+    if (!prefix || prefix === '/') {
+      return true;
+    }
+    const base = prefix.endsWith('/') ? prefix.slice(0, -1) : prefix;
+    return pathname === base || pathname.startsWith(base + '/');
+  }
+
+  function findRule(rules, hostname, pathname) {
+    return rules.find(rule =>
+      matchesHost(rule.host, hostname) && matchesPath(rule.path, pathname)
+    ) || null;
+  }
+
+  // =========================================================================
+  // USER OVERRIDES (chrome.storage.sync)
+  // =========================================================================
+
+  const STORAGE_KEY = 'siteOverrides';
+
+  function hasStorage() {
+    return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
+  }
+
+  /**
+   * Normalize a hostname for an override ("www." is dropped so the rule
+   * covers the whole site)
+   */
+  function normalizeHost(hostname) {
+    return hostname.trim().toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Stored user overrides. Storage errors are passed on, so a change is
+   * never written over a list that couldn't be read.
+   */
+  async function readOverrides() {
+    if (!hasStorage()) {
+      return [];
+    }
+    const data = await chrome.storage.sync.get(STORAGE_KEY);
+    const overrides = data[STORAGE_KEY];
+    return Array.isArray(overrides) ? overrides : [];
+  }
+
+  /**
+   * Load user overrides for a policy decision. Resolves to [] when
+   * storage is unavailable or can't be read.
+   */
+  async function loadOverrides() {
+    try {
+      return await readOverrides();
+    } catch {
+      return [];
+    }
+  }
+
+  async function saveOverrides(overrides) {
+    if (!hasStorage()) {
+      return;
+    }
+    await chrome.storage.sync.set({ [STORAGE_KEY]: overrides });
+  }
+
+  /**
+   * Add `rule` ({ host, path?, skip?, features? }) in front of the other
+   * overrides, replacing the one for the same host and path. Rejects when
+   * the overrides can't be read or saved (sync storage quota).
+   */
+  async function putOverride(rule) {
+    const overrides = (await readOverrides()).filter(existing =>
+      !(existing.host === rule.host && (existing.path || '') === (rule.path || ''))
+    );
+    await saveOverrides([rule, ...overrides]);
+    return rule;
+  }
+
+  /**
+   * Turn Armorly on or off for a host, replacing any existing override
+   * for that host
+   */
+  function setOverride(hostname, enabled) {
+    const host = normalizeHost(hostname);
+    return putOverride(enabled ? { host } : { host, skip: true });
+  }
+
+  /**
+   * Drop the override for a host so the default rules apply again
+   */
+  async function removeOverride(hostname, path) {
+    const host = normalizeHost(hostname);
+    const overrides = await readOverrides();
+    await saveOverrides(overrides.filter(rule =>
+      !(rule.host === host && (rule.path || '') === (path || ''))
+    ));
+  }
+
+  /**
+   * Call `callback(overrides)` whenever overrides change in any context
+   */
+  function onOverridesChanged(callback) {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+      return;
+    }
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[STORAGE_KEY]) {
+        const overrides = changes[STORAGE_KEY].newValue;
+        callback(Array.isArray(overrides) ? overrides : []);
+      }
+    });
+  }
+
+  // =========================================================================
+  // PUBLIC API
+  // =========================================================================
+
+  /**
+   * URL to evaluate the policy against in the current document. about:blank,
+   * srcdoc, blob: and data: frames take their creator's URL, so a frame
+   * follows the same site rules as the page that made it.
+   */
+  function documentUrl() {
+    let frame = window;
+
+    try {
+      while (!/^https?:$/.test(frame.location.protocol) && frame !== frame.parent) {
+        frame = frame.parent;
+      }
+      if (/^https?:$/.test(frame.location.protocol)) {
+        return frame.location.href;
+      }
+    } catch {
+      // Cross-origin parent (opaque data: frames), fall back below
+    }
+
+    const origins = window.location.ancestorOrigins;
+    if (origins && origins.length > 0 && !/^https?:$/.test(window.location.protocol)) {
+      return origins[0] + '/';
+    }
+    return window.location.href;
+  }
+
+  /**
+   * Decide which protections apply to a URL.
+   * `overrides` are user rules checked before the defaults.
+   * Returns { enabled, features, rule, source } where `enabled` is false
+   * only when every feature is off and `source` is 'user', 'default' or null.
+   */
+  function evaluate(url, overrides) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { enabled: false, features: allFeatures(false), rule: null, source: null };
+    }
+
+    const userRule = findRule(overrides || [], parsed.hostname, parsed.pathname);
+    const rule = userRule || findRule(DEFAULT_RULES, parsed.hostname, parsed.pathname);
+    let features = allFeatures(true);
+
+    if (rule && rule.skip) {
+      features = allFeatures(false);
+    } else if (rule && rule.features) {
+      features = Object.assign(features, rule.features);
+    }
+
+    return {
+      enabled: FEATURES.some(feature => features[feature]),
+      features,
+      rule,
+      source: userRule ? 'user' : (rule ? 'default' : null)
+    };
+  }
+
+  globalThis.ArmorlySitePolicy = {
+    FEATURES,
+    DEFAULT_RULES,
+    STORAGE_KEY,
+    matchesHost,
+    matchesPath,
+    normalizeHost,
+    documentUrl,
+    evaluate,
+    loadOverrides,
+    saveOverrides,
+    putOverride,
+    setOverride,
+    removeOverride,
+    onOverridesChanged
+  };
+
+})();
@@ -0,0 +1,159 @@
+/**
+ * Armorly - Stream Guard
+ *
+ * Chatbots stream answers token by token, so a sponsored card is often in
+ * the DOM a moment before its "Sponsored" label or data-sponsored attribute
+ * arrives. Scanning after the fact lets it flash on screen.
+ *
+ * The guard knows each platform's message container (see `platforms` in
+ * ad-rules.js). Inside an assistant message that is still streaming,
+ * candidate ad slots are made invisible the moment they are inserted
+ * (MutationObserver callbacks run before the next paint). When the message
+ * finishes, it is classified synchronously and whatever is not an ad is
+ * revealed again.
+ *
+ * A message is streaming while its platform's streaming marker matches or,
+ * failing that, until its content stops changing for QUIET_MS. No slot is
+ * held longer than MAX_HOLD_MS.
+ */
+
+(function() {
+  'use strict';
+
+  const QUIET_MS = 800;
+  const MAX_HOLD_MS = 15000;
+  const HELD_ATTR = 'data-armorly-held';
+
+  // Attributes platforms toggle to mark a streaming message
+  const STATE_ATTRIBUTES = ['class', 'aria-busy', 'data-state', 'data-is-streaming'];
+
+  /**
+   * Hold candidate slots in streaming messages until `classify(message)`
+   * has run on the finished message. `rule` is from
+   * ArmorlyAdPatterns.getStreamingRule().
+   */
+  function start(rule, classify) {
+    const slotSelector = rule.slots.join(', ');
+
+    // message -> { lastChange, heldSince, slots: Map(slot -> previous visibility), timer }
+    const messages = new Map();
+
+    function isStreaming(message, state) {
+      if (rule.streaming && (message.matches(rule.streaming) || message.querySelector(rule.streaming))) {
+        return true;
+      }
+      return Date.now() - state.lastChange < QUIET_MS;
+    }
+
+    function findMessage(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return element ? element.closest(rule.message) : null;
+    }
+
+    /**
+     * Hide a slot, remembering its inline visibility
+     */
+    function hold(slot, state) {
+      if (state.slots.has(slot) || window.ArmorlyNeutralizer.isHandled(slot)) {
+        return;
+      }
+      state.slots.set(slot, {
+        value: slot.style.getPropertyValue('visibility'),
+        priority: slot.style.getPropertyPriority('visibility')
+      });
+      slot.setAttribute(HELD_ATTR, 'true');
+      slot.style.setProperty('visibility', 'hidden', 'important');
+    }
+
+    function release(slot, previous) {
+      if (!slot.hasAttribute(HELD_ATTR)) {
+        return;
+      }
+      slot.removeAttribute(HELD_ATTR);
+      slot.style.setProperty('visibility', previous.value, previous.priority);
+    }
+
+    /**
+     * Classify a finished message, then reveal every slot that survived
+     */
+    function finish(message, state) {
+      messages.delete(message);
+      if (message.isConnected) {
+        classify(message);
+      }
+      state.slots.forEach((previous, slot) => release(slot, previous));
+    }
+
+    function check(message) {
+      const state = messages.get(message);
+      if (!state) {
+        return;
+      }
+      clearTimeout(state.timer);
+
+      if (message.isConnected && isStreaming(message, state) && Date.now() - state.heldSince < MAX_HOLD_MS) {
+        state.timer = setTimeout(() => check(message), QUIET_MS);
+        return;
+      }
+      finish(message, state);
+    }
+
+    /**
+     * Hold any candidate slots in a node added to a message
+     */
+    function holdSlots(node, message) {
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+      const slots = Array.from(node.querySelectorAll(slotSelector));
+      if (node.matches(slotSelector)) {
+        slots.unshift(node);
+      }
+      if (slots.length === 0) {
+        return;
+      }
+
+      let state = messages.get(message);
+      if (!state) {
+        state = { lastChange: Date.now(), heldSince: Date.now(), slots: new Map(), timer: null };
+        messages.set(message, state);
+      }
+      slots.forEach(slot => hold(slot, state));
+    }
+
+    window.ArmorlyDom.observe((mutations) => {
+      const touched = new Set();
+
+      mutations.forEach(mutation => {
+        const message = findMessage(mutation.target);
+
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach(node => {
+            const container = message || (node.nodeType === Node.ELEMENT_NODE && node.matches(rule.message) ? node : null);
+            if (container) {
+              holdSlots(node, container);
+              touched.add(container);
+            }
+          });
+        } else if (message) {
+          touched.add(message);
+        }
+
+        // Only content changes count as streaming activity
+        const state = message && messages.get(message);
+        if (state && mutation.type !== 'attributes') {
+          state.lastChange = Date.now();
+        }
+      });
+
+      touched.forEach(check);
+    }, { characterData: true, attributeFilter: STATE_ATTRIBUTES });
+  }
+
+  globalThis.ArmorlyStreamGuard = {
+    QUIET_MS,
+    MAX_HOLD_MS,
+    start
+  };
+
+})();
@@ -0,0 +1,228 @@
+/**
+ * Armorly - Text Normalizer
+ *
+ * Prompt injections are easy to hide from a plain regex: zero-width joiners
+ * inside "ig<ZWSP>nore", a Cyrillic "і" in "ignore", fullwidth "ｉｇｎｏｒｅ",
+ * bidi overrides or Unicode tag characters. Models read straight through all
+ * of these, so text is folded back to what a model "sees" before matching:
+ *
+ *   1. NFKC (fullwidth, ligatures, math alphanumerics -> plain letters)
+ *   2. Invisible characters dropped (zero-width, bidi controls, tag
+ *      characters, variation selectors, soft hyphens)
+ *   3. Confusables folded to Latin (Cyrillic/Greek lookalikes inside
+ *      otherwise Latin words)
+ *   4. Whitespace collapsed
+ *
+ * Separately, findSmuggledPayload() detects "ASCII smuggling": text encoded
+ * entirely in invisible code points (tag characters, variation selectors or
+ * long zero-width runs). Those are an injection channel on their own, even
+ * with no visible keyword.
+ */
+
+(function() {
+  'use strict';
+
+  // =========================================================================
+  // CHARACTER CLASSES
+  // =========================================================================
+
+  // Zero-width and formatting characters (excluding bidi controls)
+  // eslint-disable-next-line no-misleading-character-class
+  const ZERO_WIDTH = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200D\u2060-\u2064\u3164\uFEFF\uFFA0]/gu;
+
+  // Bidi embeddings, overrides, isolates and marks
+  const BIDI_CONTROLS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/gu;
+
+  // Unicode tag block (U+E0000 - U+E007F)
+  const TAG_CHARACTERS = /[\u{E0000}-\u{E007F}]/gu;
+
+  // Variation selectors (VS1-16 and the supplement VS17-256)
+  const VARIATION_SELECTORS = /[\uFE00-\uFE0F\u{E0100}-\u{E01EF}]/gu;
+
+  // Lookalikes that survive NFKC, folded to the Latin letter they imitate.
+  // Only words that also contain Latin letters are folded, so genuine
+  // Cyrillic or Greek text is left readable for the classifier.
+  const CONFUSABLES = {
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': '3', 'і': 'i', 'ї': 'i', 'ј': 'j',
+    'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y',
+    'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ӏ': 'l', 'ɡ': 'g',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+    'С': 'C', 'Т': 'T', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S', 'Ԁ': 'D', 'Ԝ': 'W',
+    // Greek
+    'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x', 'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Η': 'H', 'Ι': 'I', 'Κ': 'K',
+    'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Χ': 'X', 'Υ': 'Y', 'Ζ': 'Z',
+    // Latin lookalikes
+    'ı': 'i', 'ȷ': 'j', 'ʀ': 'r', 'ꞵ': 'b', 'ſ': 's'
+  };
+
+  // =========================================================================
+  // NORMALIZATION
+  // =========================================================================
+
+  /**
+   * Fold lookalikes in a mixed-script word ("іgnore" -> "ignore")
+   */
+  function foldConfusables(word) {
+    if (!/[a-z]/i.test(word)) {
+      return word;
+    }
+    return Array.from(word, char => CONFUSABLES[char] || char).join('');
+  }
+
+  /**
+   * Fold text to what a language model effectively reads
+   */
+  function normalize(text) {
+    if (!text) {
+      return '';
+    }
+
+    return String(text)
+      .normalize('NFKC')
+      .replace(ZERO_WIDTH, '')
+      .replace(BIDI_CONTROLS, '')
+      .replace(TAG_CHARACTERS, '')
+      .replace(VARIATION_SELECTORS, '')
+      .replace(/\S+/g, foldConfusables)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Name the obfuscation techniques present in text, for the activity log
+   * (e.g. ['zero-width', 'homoglyphs'])
+   */
+  function describeObfuscation(text) {
+    const value = String(text || '');
+    const techniques = [];
+    const test = (pattern) => value.search(pattern) !== -1;
+
+    if (value !== value.normalize('NFKC') && /[\uFF01-\uFF5E\u{1D400}-\u{1D7FF}]/u.test(value)) {
+      techniques.push('compatibility-forms');
+    }
+    if (test(ZERO_WIDTH)) {
+      techniques.push('zero-width');
+    }
+    if (test(BIDI_CONTROLS)) {
+      techniques.push('bidi-controls');
+    }
+    if (test(TAG_CHARACTERS)) {
+      techniques.push('tag-characters');
+    }
+    if (value.split(/\s+/).some(word => foldConfusables(word) !== word)) {
+      techniques.push('homoglyphs');
+    }
+    return techniques;
+  }
+
+  // =========================================================================
+  // ASCII SMUGGLING
+  // =========================================================================
+
+  // Shortest invisible run treated as a payload. Emoji use one variation
+  // selector, and subdivision flags (🏴 + "gbsct" + cancel) at most 6 tags.
+  const MIN_TAG_RUN = 8;
+  const MIN_SELECTOR_RUN = 8;
+  const MIN_ZERO_WIDTH_RUN = 16;
+
+  const TAG_RUN = /[\u{E0000}-\u{E007F}]+/gu;
+  const SELECTOR_RUN = /[\uFE00-\uFE0F\u{E0100}-\u{E01EF}]{2,}/gu;
+  const ZERO_WIDTH_RUN = /[\u200B-\u200D\u2060-\u2064\uFEFF]{2,}/gu;
+
+  /**
+   * Decode a run of tag characters (each mirrors an ASCII code point)
+   */
+  function decodeTags(run) {
+    return Array.from(run)
+      .map(char => char.codePointAt(0) - 0xE0000)
+      .filter(code => code >= 0x20 && code < 0x7F)
+      .map(code => String.fromCharCode(code))
+      .join('');
+  }
+
+  /**
+   * Decode a run of variation selectors (one byte each: VS1-16 -> 0-15,
+   * VS17-256 -> 16-255) as UTF-8
+   */
+  function decodeSelectors(run) {
+    const bytes = Array.from(run).map(char => {
+      const code = char.codePointAt(0);
+      return code <= 0xFE0F ? code - 0xFE00 : code - 0xE0100 + 16;
+    });
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Find an invisible-character payload in text.
+   * Returns { encoding, decoded, run } or null, where `run` is the exact
+   * invisible sequence and `decoded` is empty when the encoding can't be
+   * read back (zero-width binary).
+   */
+  function findSmuggledPayload(text) {
+    if (!text) {
+      return null;
+    }
+
+    for (const [run] of String(text).matchAll(TAG_RUN)) {
+      if (Array.from(run).length >= MIN_TAG_RUN) {
+        return { encoding: 'tag-characters', decoded: decodeTags(run), run };
+      }
+    }
+
+    for (const [run] of String(text).matchAll(SELECTOR_RUN)) {
+      if (Array.from(run).length >= MIN_SELECTOR_RUN) {
+        return { encoding: 'variation-selectors', decoded: decodeSelectors(run), run };
+      }
+    }
+
+    for (const [run] of String(text).matchAll(ZERO_WIDTH_RUN)) {
+      if (run.length >= MIN_ZERO_WIDTH_RUN) {
+        return { encoding: 'zero-width', decoded: '', run };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Quick check before the more expensive findSmuggledPayload()
+   */
+  function mayContainSmuggling(text) {
+    // eslint-disable-next-line no-misleading-character-class
+    return /[\u200B-\u200D\u2060-\u2064\uFEFF\uFE00-\uFE0F\u{E0000}-\u{E007F}\u{E0100}-\u{E01EF}]/u.test(text);
+  }
+
+  // Lone zero-width characters other than the joiners (U+200C, U+200D),
+  // which emoji sequences and several scripts need
+  // eslint-disable-next-line no-misleading-character-class
+  const STRAY_ZERO_WIDTH = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B\u2060-\u2064\u3164\uFEFF\uFFA0]/gu;
+
+  /**
+   * Remove invisible characters from text a user will keep (pasted text),
+   * without folding anything visible: tag characters, bidi controls,
+   * variation-selector and zero-width runs, and stray zero-width characters
+   */
+  function stripInvisible(text) {
+    return String(text || '')
+      .replace(TAG_CHARACTERS, '')
+      .replace(BIDI_CONTROLS, '')
+      .replace(SELECTOR_RUN, '')
+      .replace(ZERO_WIDTH_RUN, '')
+      .replace(STRAY_ZERO_WIDTH, '');
+  }
+
+  globalThis.ArmorlyTextNormalizer = {
+    normalize,
+    describeObfuscation,
+    findSmuggledPayload,
+    mayContainSmuggling,
+    stripInvisible
+  };
+
+})();
@@ -0,0 +1,109 @@
+/**
+ * Armorly - URL Cleaner
+ *
+ * Rewriting a[href] attributes misses every link a chat UI builds at the
+ * last moment: hrefs set on mousedown, <button data-url> handlers,
+ * window.open calls and "copy response" buttons that put markdown with
+ * tracked links on the clipboard. This module cleans URLs wherever they
+ * turn up - a single URL, plain text or an HTML fragment - using the
+ * redirect unwrapping and parameter stripping from ad-patterns.js.
+ *
+ * Each function takes the pattern API and an optional `onClean(before,
+ * after, redirector)` callback so callers can log what changed.
+ */
+
+(function() {
+  'use strict';
+
+  // URLs in running text; stops at whitespace, quotes, brackets and the
+  // closing parenthesis of a markdown link
+  const URL_IN_TEXT = /https?:\/\/[^\s<>"'`)\]]+/gi;
+
+  // Punctuation that ends a sentence rather than the URL
+  const TRAILING_PUNCTUATION = /[.,;:!?]+$/;
+
+  /**
+   * Cleaned form of one URL (relative URLs resolve against the page), or
+   * null when there is nothing to clean. Returns { url, redirector }.
+   */
+  function cleanTrackedUrl(url, patterns) {
+    let absolute;
+    try {
+      absolute = new URL(url, document.baseURI).toString();
+    } catch {
+      return null;
+    }
+
+    const redirect = patterns.unwrapRedirect(absolute);
+    const target = redirect ? redirect.url : absolute;
+    if (!redirect && !patterns.hasAffiliateParams(target)) {
+      return null;
+    }
+    return {
+      url: patterns.cleanUrl(target),
+      redirector: redirect ? redirect.redirector : null
+    };
+  }
+
+  /**
+   * Clean every URL in plain text (markdown links included)
+   */
+  function cleanText(text, patterns, onClean) {
+    return text.replace(URL_IN_TEXT, (match) => {
+      const trailing = (match.match(TRAILING_PUNCTUATION) || [''])[0];
+      const url = trailing ? match.slice(0, -trailing.length) : match;
+
+      const cleaned = cleanTrackedUrl(url, patterns);
+      if (!cleaned) {
+        return match;
+      }
+      if (onClean) {
+        onClean(url, cleaned.url, cleaned.redirector);
+      }
+      return cleaned.url + trailing;
+    });
+  }
+
+  /**
+   * Clean link targets and URLs in the text of an HTML fragment. The
+   * fragment is parsed into an inert <template>, so nothing in it loads
+   * or runs.
+   */
+  function cleanHtml(html, patterns, onClean) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    let changed = false;
+
+    template.content.querySelectorAll('a[href]').forEach(link => {
+      const before = link.getAttribute('href');
+      const cleaned = cleanTrackedUrl(before, patterns);
+      if (cleaned) {
+        link.setAttribute('href', cleaned.url);
+        changed = true;
+        if (onClean) {
+          onClean(before, cleaned.url, cleaned.redirector);
+        }
+      }
+    });
+
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const text = node.textContent;
+      const cleaned = cleanText(text, patterns, onClean);
+      if (cleaned !== text) {
+        node.textContent = cleaned;
+        changed = true;
+      }
+    }
+
+    return changed ? template.innerHTML : html;
+  }
+
+  globalThis.ArmorlyUrlCleaner = {
+    cleanTrackedUrl,
+    cleanText,
+    cleanHtml
+  };
+
+})();
@@ -0,0 +1,343 @@
+/**
+ * Armorly Options Script
+ * Manages settings and per-site overrides stored in chrome.storage.sync,
+ * and rule packs and filter rules stored in chrome.storage.local
+ */
+
+(function() {
+  'use strict';
+
+  const policy = window.ArmorlySitePolicy;
+  const packs = window.ArmorlyRulePacks;
+  const filterList = window.ArmorlyFilterList;
+
+  // Unusable filter rules listed below the editor
+  const MAX_FILTER_ERRORS = 20;
+
+  const HOST_PATTERN = /^[a-z0-9*]([a-z0-9*.-]*[a-z0-9*])?$/;
+
+  /**
+   * Describe what a rule does for display
+   */
+  function describeRule(rule) {
+    if (rule.skip) {
+      return { text: "Doesn't run", enabled: false };
+    }
+    if (rule.features) {
+      const off = policy.FEATURES.filter(feature => rule.features[feature] === false);
+      if (off.length > 0) {
+        return { text: 'Partial (off: ' + off.join(', ') + ')', enabled: true };
+      }
+    }
+    return { text: 'Protected', enabled: true };
+  }
+
+  /**
+   * Build one list row. `onRemove` adds a remove button when given.
+   */
+  function createRuleItem(rule, onRemove) {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+
+    const host = document.createElement('span');
+    host.className = 'rule-host';
+    host.textContent = rule.host + (rule.path || '');
+    item.appendChild(host);
+
+    const description = describeRule(rule);
+    const mode = document.createElement('span');
+    mode.className = 'rule-mode' + (description.enabled ? ' enabled' : '');
+    mode.textContent = description.text;
+    item.appendChild(mode);
+
+    if (onRemove) {
+      const button = document.createElement('button');
+      button.textContent = 'Remove';
+      button.addEventListener('click', onRemove);
+      item.appendChild(button);
+    }
+
+    return item;
+  }
+
+  async function renderOverrides() {
+    const list = document.getElementById('override-list');
+    const overrides = await policy.loadOverrides();
+
+    list.textContent = '';
+
+    if (overrides.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No overrides yet. The built-in rules below apply.';
+      list.appendChild(empty);
+      return;
+    }
+
+    overrides.forEach(rule => {
+      list.appendChild(createRuleItem(rule, async () => {
+        try {
+          await policy.removeOverride(rule.host, rule.path);
+        } catch (error) {
+          showError(saveErrorMessage(error));
+          return;
+        }
+        renderOverrides();
+      }));
+    });
+  }
+
+  function renderDefaults() {
+    const list = document.getElementById('default-list');
+    policy.DEFAULT_RULES.forEach(rule => {
+      list.appendChild(createRuleItem(rule));
+    });
+  }
+
+  function showError(message) {
+    const error = document.getElementById('form-error');
+    error.textContent = message;
+    error.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * What to tell the user when the overrides couldn't be read or saved.
+   * Sync storage holds at most 8 KB per item, which a long list can hit.
+   */
+  function saveErrorMessage(error) {
+    const message = error && error.message ? error.message : String(error);
+    return /QUOTA/i.test(message)
+      ? 'Could not save: the browser\'s sync storage for overrides is full. Remove some overrides and try again.'
+      : `Could not save the overrides (${message})`;
+  }
+
+  /**
+   * Add or replace the override for a host + path
+   */
+  async function addOverride(event) {
+    event.preventDefault();
+
+    const host = policy.normalizeHost(document.getElementById('host-input').value);
+    let path = document.getElementById('path-input').value.trim();
+    const mode = document.getElementById('mode-input').value;
+
+    if (!HOST_PATTERN.test(host)) {
+      showError('Enter a hostname such as example.com or *.example.com');
+      return;
+    }
+    if (path && !path.startsWith('/')) {
+      path = '/' + path;
+    }
+
+    const rule = mode === 'disable'
+      ? { host, skip: true }
+      : mode === 'no-network' ? { host, features: { networkBlocking: false } } : { host };
+    if (path && path !== '/') {
+      rule.path = path;
+    }
+
+    try {
+      await policy.putOverride(rule);
+    } catch (error) {
+      showError(saveErrorMessage(error));
+      return;
+    }
+
+    showError('');
+    document.getElementById('add-form').reset();
+    renderOverrides();
+  }
+
+  async function setupSettings() {
+    const settings = await window.ArmorlySettings.load();
+    const removalMode = document.getElementById('removal-mode');
+
+    removalMode.value = settings.removalMode;
+    removalMode.addEventListener('change', () => {
+      window.ArmorlySettings.update({ removalMode: removalMode.value });
+    });
+
+    const commercialCards = document.getElementById('commercial-cards');
+    commercialCards.value = settings.commercialCards;
+    commercialCards.addEventListener('change', () => {
+      window.ArmorlySettings.update({ commercialCards: commercialCards.value });
+    });
+
+    const networkBlocking = document.getElementById('network-blocking');
+    networkBlocking.value = settings.networkBlocking ? 'on' : 'off';
+    networkBlocking.addEventListener('change', () => {
+      window.ArmorlySettings.update({ networkBlocking: networkBlocking.value === 'on' });
+    });
+
+    const injectionThreshold = document.getElementById('injection-threshold');
+    injectionThreshold.value = String(settings.injectionThreshold);
+    injectionThreshold.addEventListener('change', () => {
+      window.ArmorlySettings.update({ injectionThreshold: Number(injectionThreshold.value) });
+    });
+  }
+
+  // =========================================================================
+  // RULE PACKS
+  // =========================================================================
+
+  function describePack(entry) {
+    const source = entry.source === 'file' ? 'imported from a file' : `from ${entry.source}`;
+    return `${entry.name} ${entry.version}, ${source} on ${new Date(entry.installedAt).toLocaleDateString()}`;
+  }
+
+  function showPackErrors(errors) {
+    const list = document.getElementById('pack-errors');
+    list.textContent = '';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    list.style.display = errors.length > 0 ? 'block' : 'none';
+  }
+
+  function renderPacks(state) {
+    const [active, ...previous] = state.installed;
+
+    document.getElementById('pack-status').textContent = active
+      ? `Active: ${describePack(active)}`
+      : 'Active: built-in rules only';
+
+    const history = document.getElementById('pack-history');
+    history.textContent = '';
+    previous.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `Previous: ${describePack(entry)}`;
+      history.appendChild(item);
+    });
+
+    const url = document.getElementById('pack-url');
+    if (document.activeElement !== url) {
+      url.value = state.url;
+    }
+    document.getElementById('pack-export').disabled = !active;
+    document.getElementById('pack-rollback').disabled = !active;
+    document.getElementById('pack-reset').disabled = !active;
+  }
+
+  /**
+   * Download the active pack file as it was signed, to move it to
+   * another browser
+   */
+  async function exportPack() {
+    const active = (await packs.load()).installed[0];
+    if (!active) {
+      return;
+    }
+    const blob = new Blob([JSON.stringify(active.file, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `armorly-pack-${active.version}.json`;
+    link.click();
+    // The download starts after click() returns; revoking right away can
+    // cancel it
+    setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+  }
+
+  async function importPack(event) {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    const result = await packs.install(await file.text(), 'file');
+    showPackErrors(result.errors);
+  }
+
+  async function saveUrl(event) {
+    event.preventDefault();
+
+    const url = document.getElementById('pack-url').value.trim();
+    await packs.setUrl(url);
+    if (!url) {
+      showPackErrors([]);
+      return;
+    }
+
+    const result = await packs.update();
+    if (result.errors.length > 0) {
+      showPackErrors(result.errors);
+    } else if (!result.updated) {
+      showPackErrors([`${result.pack.name} ${result.pack.version} is not newer than the active pack`]);
+    } else {
+      showPackErrors([]);
+    }
+  }
+
+  async function setupRulePacks() {
+    // Packs can only be installed once a signing key ships with the build
+    if (!packs.enabled) {
+      return;
+    }
+    document.getElementById('pack-section').hidden = false;
+
+    document.getElementById('pack-url-form').addEventListener('submit', saveUrl);
+    document.getElementById('pack-import').addEventListener('click', () => {
+      document.getElementById('pack-file').click();
+    });
+    document.getElementById('pack-file').addEventListener('change', importPack);
+    document.getElementById('pack-export').addEventListener('click', exportPack);
+    document.getElementById('pack-rollback').addEventListener('click', () => {
+      showPackErrors([]);
+      packs.rollback();
+    });
+    document.getElementById('pack-reset').addEventListener('click', () => {
+      showPackErrors([]);
+      packs.removeAll();
+    });
+
+    packs.onChanged(renderPacks);
+    renderPacks(await packs.load());
+  }
+
+  // =========================================================================
+  // FILTER RULES
+  // =========================================================================
+
+  function showFilterResult(result) {
+    const used = result.cosmetic.length + result.exceptions.length + result.removeParams.length;
+    const parts = [`${used} rule${used === 1 ? '' : 's'} in use`];
+    if (result.ignored > 0) {
+      parts.push(`${result.ignored} network rule${result.ignored === 1 ? '' : 's'} left to your blocker`);
+    }
+    if (result.errors.length > 0) {
+      parts.push(`${result.errors.length} skipped`);
+    }
+    document.getElementById('filter-summary').textContent = parts.join(', ');
+
+    const list = document.getElementById('filter-errors');
+    list.textContent = '';
+    result.errors.slice(0, MAX_FILTER_ERRORS).forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = `Line ${error.line}: ${error.reason} - ${error.text}`;
+      list.appendChild(item);
+    });
+    list.style.display = result.errors.length > 0 ? 'block' : 'none';
+  }
+
+  async function setupFilterRules() {
+    const input = document.getElementById('filter-input');
+    input.value = await filterList.load();
+    showFilterResult(filterList.parse(input.value));
+
+    document.getElementById('filter-save').addEventListener('click', async () => {
+      showFilterResult(await filterList.save(input.value));
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    setupSettings();
+    setupRulePacks();
+    setupFilterRules();
+    document.getElementById('add-form').addEventListener('submit', addOverride);
+    policy.onOverridesChanged(renderOverrides);
+    renderOverrides();
+    renderDefaults();
+  });
+
+})();
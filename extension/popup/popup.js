@@ -6,52 +6,45 @@
 (function() {
   'use strict';
 
-  // AI platform patterns for detection
-  const AI_PLATFORMS = [
-    { pattern: /chat\.openai\.com|chatgpt\.com/i, name: 'ChatGPT' },
-    { pattern: /claude\.ai/i, name: 'Claude' },
-    { pattern: /perplexity\.ai/i, name: 'Perplexity' },
-    { pattern: /gemini\.google\.com|bard\.google\.com/i, name: 'Gemini' },
-    { pattern: /x\.com\/i\/grok|grok\.x\.com/i, name: 'Grok' },
-    { pattern: /copilot\.microsoft\.com/i, name: 'Copilot' },
-    { pattern: /poe\.com/i, name: 'Poe' },
-    { pattern: /you\.com/i, name: 'You.com' },
-    { pattern: /phind\.com/i, name: 'Phind' },
-    { pattern: /huggingface\.co\/chat/i, name: 'HuggingChat' }
-  ];
-
-  // Sites we skip (from content script)
-  const SKIP_DOMAINS = [
-    'mail.google.com', 'calendar.google.com', 'docs.google.com',
-    'youtube.com', 'github.com', 'stackoverflow.com', 'reddit.com',
-    'twitter.com', 'facebook.com', 'instagram.com', 'linkedin.com',
-    'amazon.com', 'netflix.com', 'spotify.com'
-  ];
+  // Stat key -> element id of its card in the stats grid
+  const STAT_CARDS = {
+    sdksBlocked: 'sdks-blocked',
+    linksCleaned: 'links-cleaned',
+    elementsRemoved: 'elements-removed',
+    injectionsRemoved: 'injections-removed'
+  };
 
-  /**
-   * Check if a hostname should be skipped
-   */
-  function isSkippedDomain(hostname) {
-    return SKIP_DOMAINS.some(domain =>
-      hostname === domain || hostname.endsWith('.' + domain)
-    );
-  }
+  // Activity log entry kind -> filter label
+  const LOG_KINDS = {
+    sdk: 'SDK',
+    element: 'Ad',
+    link: 'Link',
+    injection: 'Injection',
+    request: 'Request'
+  };
+
+  // Where a link was cleaned outside the page scan -> log wording
+  const CLEANED_AT = {
+    click: 'on click',
+    copy: 'when copied',
+    open: 'in window.open',
+    clipboard: 'by a copy button'
+  };
+
+  // Current activity log and filters
+  let activityLog = [];
+  let logKindFilter = 'all';
+  let logTextFilter = '';
 
   /**
-   * Get friendly name for AI platform
+   * Show which platform adapter the page's content scripts picked
    */
-  function getAIPlatformName(url) {
-    try {
-      const hostname = new URL(url).hostname;
-      for (const platform of AI_PLATFORMS) {
-        if (platform.pattern.test(url)) {
-          return platform.name;
-        }
-      }
-      return hostname;
-    } catch {
-      return 'Unknown';
-    }
+  function showAdapter(adapter) {
+    const element = document.getElementById('current-site-adapter');
+    element.textContent = adapter
+      ? `${adapter.name} adapter`
+      : 'No platform adapter (generic rules only)';
+    element.style.display = 'block';
   }
 
   /**
@@ -74,47 +67,69 @@
       document.getElementById('current-site-url').textContent = hostname;
 
       // Check if this is a chrome:// or other restricted URL
-      if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || url.startsWith('about:')) {
+      if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || url.startsWith('moz-extension://') || url.startsWith('about:')) {
         setInactiveState('Extension pages');
         document.getElementById('current-site-url').textContent = 'Browser page (not monitored)';
         return;
       }
 
-      // Check if domain is skipped
-      if (isSkippedDomain(hostname)) {
-        setInactiveState('Skipped site');
-        showNote('This site is on the allowlist (not an AI chatbot). Armorly is not active here.');
+      // Same policy decision the content scripts make; network blocking
+      // also needs the global opt-in
+      const [overrides, settings] = await Promise.all([
+        window.ArmorlySitePolicy.loadOverrides(),
+        window.ArmorlySettings.load()
+      ]);
+      const policy = window.ArmorlySitePolicy.evaluate(url, overrides);
+      showFeatureStates(Object.assign({}, policy.features, {
+        networkBlocking: policy.features.networkBlocking && settings.networkBlocking
+      }));
+      showSiteToggle(tab, hostname, policy.enabled);
+      showReportSection(tab, policy, settings);
+
+      if (!policy.enabled) {
+        setInactiveState(policy.source === 'user' ? 'Disabled on this site' : 'Skipped site');
+        showNote(policy.source === 'user'
+          ? 'You turned Armorly off for this site.'
+          : 'This site is on the allowlist (not an AI chatbot). Armorly is not active here.');
         return;
       }
 
-      // Try to get stats from content script
-      try {
-        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_STATS' });
+      document.getElementById('pick-element').style.display = 'block';
 
-        if (response && response.active) {
-          setActiveState();
-          document.getElementById('sdks-blocked').textContent = response.sdksBlocked || 0;
-          document.getElementById('links-cleaned').textContent = response.linksCleaned || 0;
+      // Stats are summed across all frames of the tab by the background worker
+      const response = await window.ArmorlyBrowser.sendMessage({ type: 'GET_TAB_STATS', tabId: tab.id });
+      showLifetimeStats(response ? response.lifetime : {});
 
-          // Show note if no ads detected
-          if ((response.sdksBlocked || 0) === 0 && (response.linksCleaned || 0) === 0) {
-            showNote('No ads detected on this page. This site may not currently serve AI ads.');
-          }
-        } else {
-          setActiveState();
-          showNote('Monitoring active. No AI ads detected on this page.');
+      if (response && response.reported) {
+        const page = response.page;
+        setActiveState();
+        showAdapter(response.adapter);
+        Object.keys(STAT_CARDS).forEach(stat => {
+          document.getElementById(STAT_CARDS[stat]).textContent = page[stat] || 0;
+        });
+        if (policy.features.networkBlocking && settings.networkBlocking) {
+          document.getElementById('network-count').textContent = `${page.requestsBlocked || 0} blocked`;
+        }
+
+        activityLog = response.log || [];
+        renderActivityLog();
+        showRestoreButton(tab);
+        showScanTimings(tab);
+
+        // Show note if no ads detected
+        if (activityLog.length === 0) {
+          showNote('No ads detected on this page. This site may not currently serve AI ads.');
         }
-      } catch {
-        // Content script not responding - might be a new tab or restricted page
-        // But if it's an AI platform, show as monitoring
-        const isAIPlatform = AI_PLATFORMS.some(p => p.pattern.test(url));
-
-        if (isAIPlatform) {
-          setActiveState();
-          document.getElementById('current-site-url').textContent = getAIPlatformName(url);
+      } else {
+        // No frame has reported yet - might be a new tab or restricted page
+        // But if a platform adapter covers it, show as monitoring
+        const adapter = window.ArmorlyAdPatterns ? window.ArmorlyAdPatterns.getAdapter(hostname) : null;
+
+        setActiveState();
+        if (adapter) {
+          showAdapter(adapter);
           showNote('Monitoring active. No AI ads detected on this page.');
         } else {
-          setActiveState();
           showNote('Monitoring for AI ad networks on this page.');
         }
       }
@@ -125,6 +140,160 @@
     }
   }
 
+  /**
+   * Show the "disable/enable on this site" control. Saving an override
+   * reloads the tab so the content scripts start over with the new policy.
+   */
+  function showSiteToggle(tab, hostname, enabled) {
+    const button = document.getElementById('site-toggle');
+    const host = window.ArmorlySitePolicy.normalizeHost(hostname);
+
+    button.textContent = enabled ? 'Disable on this site' : 'Enable on this site';
+    button.style.display = 'block';
+    button.onclick = async () => {
+      button.disabled = true;
+      try {
+        await window.ArmorlySitePolicy.setOverride(host, !enabled);
+      } catch (error) {
+        console.error('[Armorly] Saving the site override failed:', error);
+        showNote(/QUOTA/i.test(String(error && error.message))
+          ? 'Could not save: too many site overrides. Remove some on the options page.'
+          : 'Could not save the setting for this site. Try again.');
+        button.disabled = false;
+        return;
+      }
+      await chrome.tabs.reload(tab.id);
+      window.close();
+    };
+  }
+
+  /**
+   * Start the element picker in the page's top frame. The popup closes so
+   * the page can be pointed at.
+   */
+  async function startPicker() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await window.ArmorlyBrowser.sendToTab(tab.id, { type: 'START_PICKER' }, { frameId: 0 });
+    if (response) {
+      window.close();
+    } else {
+      showNote('Could not reach this page. Reload it and try again.');
+    }
+  }
+
+  /**
+   * Build the "Report a problem" bundle for the tab and download it. The
+   * page's content script supplies its policy decision and a sanitized
+   * DOM outline; without one (content scripts not running) the popup's
+   * own view of the page is used.
+   */
+  async function downloadReport(tab, kind, policy, settings) {
+    // null when content scripts aren't running in this tab
+    const page = await window.ArmorlyBrowser.sendToTab(tab.id, { type: 'GET_REPORT' }, { frameId: 0 });
+    const stats = await window.ArmorlyBrowser.sendMessage({ type: 'GET_TAB_STATS', tabId: tab.id });
+
+    const report = {
+      format: 'armorly-report',
+      kind,
+      createdAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      browser: navigator.userAgent,
+      page: page ? page.page : window.ArmorlyDiagnostics.sanitizeUrl(tab.url),
+      contentScripts: page ? 'running' : 'not reachable',
+      policy: page ? page.policy : {
+        enabled: policy.enabled,
+        source: policy.source,
+        rule: policy.rule,
+        features: policy.features
+      },
+      adapter: page ? page.adapter : null,
+      rules: page ? page.rules : { version: window.ArmorlyAdPatterns ? window.ArmorlyAdPatterns.version : null },
+      settings,
+      counts: stats && stats.reported ? stats.page : {},
+      activity: stats && stats.reported ? window.ArmorlyDiagnostics.sanitizeActivity(stats.log) : [],
+      outlineOf: page ? page.outlineOf : null,
+      outline: page ? page.outline : []
+    };
+
+    const host = new URL(tab.url).hostname.replace(/^www\./, '');
+    const stamp = report.createdAt.slice(0, 16).replace(/[-:T]/g, '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2) + '\n'], { type: 'application/json' }));
+    link.download = `armorly-report-${host}-${stamp}.json`;
+    link.click();
+    // The download starts after click() returns; revoking right away can
+    // cancel it
+    setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+  }
+
+  /**
+   * Offer the report buttons on every page Armorly can run on, skipped
+   * sites included
+   */
+  function showReportSection(tab, policy, settings) {
+    document.getElementById('report-section').style.display = 'block';
+    document.querySelectorAll('[data-report]').forEach(button => {
+      button.onclick = async () => {
+        button.disabled = true;
+        try {
+          await downloadReport(tab, button.dataset.report, policy, settings);
+          showNote('Report downloaded. Check it, then attach it to an issue.');
+        } catch (error) {
+          console.error('[Armorly] Building the report failed:', error);
+          showNote('Could not build the report for this page. Reload it and try again.');
+        } finally {
+          button.disabled = false;
+        }
+      };
+    });
+  }
+
+  /**
+   * Show "Restore removed content" once something was taken off the page.
+   * Every frame of the tab restores what it removed or hid.
+   */
+  function showRestoreButton(tab) {
+    const button = document.getElementById('restore-all');
+    if (activityLog.length === 0) {
+      return;
+    }
+
+    button.style.display = 'block';
+    button.onclick = async () => {
+      button.disabled = true;
+      const response = await window.ArmorlyBrowser.sendToTab(tab.id, { type: 'RESTORE_ALL' });
+      if (!response) {
+        showNote('Could not reach this page. Reload it and try again.');
+      } else if (response.restored > 0) {
+        showNote(`Restored ${response.restored} item${response.restored === 1 ? '' : 's'}. Armorly will leave them alone on this page.`);
+      } else {
+        showNote('Nothing left to restore on this page.');
+      }
+    };
+  }
+
+  /**
+   * Show how long incremental scans take in the top frame, so it's easy to
+   * confirm Armorly stays within a few milliseconds per batch
+   */
+  async function showScanTimings(tab) {
+    const response = await window.ArmorlyBrowser.sendToTab(tab.id, { type: 'GET_SCAN_TIMINGS' }, { frameId: 0 });
+    if (!response || !response.timings) {
+      return;
+    }
+
+    const timings = Object.values(response.timings);
+    const batches = timings.reduce((total, timing) => total + timing.batches, 0);
+    const totalMs = timings.reduce((total, timing) => total + timing.totalMs, 0);
+    const maxMs = Math.max(0, ...timings.map(timing => timing.maxMs));
+    const fullScanMs = timings.reduce((total, timing) => total + timing.fullScanMs, 0);
+
+    document.getElementById('scan-timing').textContent = batches > 0
+      ? `Scan time: ${(totalMs / batches).toFixed(1)} ms avg, ${maxMs.toFixed(1)} ms max over ${batches} batches ` +
+        `(full page scan ${fullScanMs.toFixed(0)} ms)`
+      : `Full page scan took ${fullScanMs.toFixed(0)} ms`;
+  }
+
   /**
    * Set UI to active monitoring state
    */
@@ -149,8 +318,180 @@
     text.textContent = reason || 'Inactive';
 
     // Zero out stats
-    document.getElementById('sdks-blocked').textContent = '-';
-    document.getElementById('links-cleaned').textContent = '-';
+    Object.values(STAT_CARDS).forEach(id => {
+      document.getElementById(id).textContent = '-';
+    });
+  }
+
+  /**
+   * Show all-time totals under the per-page numbers
+   */
+  function showLifetimeStats(lifetime) {
+    Object.keys(STAT_CARDS).forEach(stat => {
+      document.getElementById(STAT_CARDS[stat] + '-lifetime').textContent =
+        `${(lifetime[stat] || 0).toLocaleString()} all time`;
+    });
+  }
+
+  // =========================================================================
+  // ACTIVITY LOG
+  // =========================================================================
+
+  /**
+   * One-line summary and secondary detail line for a log entry
+   */
+  function describeEntry(entry) {
+    const detail = entry.detail || {};
+
+    switch (entry.kind) {
+      case 'sdk':
+        return {
+          summary: `Neutralized ${detail.method}()`,
+          secondary: `${detail.sdk} ad SDK call absorbed by Armorly`
+        };
+      case 'element':
+        if (detail.signals) {
+          return {
+            summary: detail.flagged
+              ? `Flagged ${detail.element} as likely commercial`
+              : `Removed likely commercial ${detail.element}`,
+            secondary: `Score ${detail.score}: ${detail.signals.join(', ')}`
+          };
+        }
+        return detail.selector
+          ? { summary: `Removed ${detail.element}`, secondary: `Matched selector ${detail.selector}` }
+          : {
+            summary: `Removed ${detail.element}`,
+            secondary: `Ad label "${detail.label}"` + (detail.platform ? ` in ${detail.platform} suggestions` : '')
+          };
+      case 'link': {
+        const at = detail.at ? ` (${CLEANED_AT[detail.at] || detail.at})` : '';
+        return detail.redirector
+          ? { summary: `Skipped ${detail.redirector} redirect ${detail.before}`, secondary: `→ ${detail.after}${at}` }
+          : { summary: `Cleaned ${detail.before}`, secondary: `→ ${detail.after}${at}` };
+      }
+      case 'injection':
+        return {
+          summary: detail.channel === 'paste'
+            ? 'Cleaned a pasted injection before it reached the chat' +
+              (detail.technique ? ` (${detail.technique})` : '')
+            : detail.field
+              ? `Neutralized injection in ${detail.field} of ${detail.element} (${detail.channel})`
+              : `Removed hidden injection from ${detail.element}` +
+                (detail.technique ? ` (${detail.technique})` : ''),
+          secondary: `"${detail.text}"` +
+            (detail.features && detail.features.length > 0
+              ? ` — score ${detail.score}: ${detail.features.join(', ')}`
+              : '') +
+            (detail.encoding ? ` — smuggled as ${detail.encoding}` : '') +
+            (detail.obfuscation ? ` — obfuscated with ${detail.obfuscation.join(', ')}` : '')
+        };
+      case 'request':
+        return {
+          summary: `Blocked ${detail.type} request to ${detail.url}`,
+          secondary: detail.sdk ? `${detail.sdk} ad SDK host` : 'Ad SDK host'
+        };
+      default:
+        return { summary: entry.kind, secondary: '' };
+    }
+  }
+
+  function formatTime(time) {
+    return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+
+  /**
+   * Render the log newest-first, applying the kind and text filters
+   */
+  function renderActivityLog() {
+    const list = document.getElementById('activity-list');
+    const query = logTextFilter.toLowerCase();
+    list.textContent = '';
+
+    const entries = activityLog.slice().reverse().filter(entry => {
+      if (logKindFilter !== 'all' && entry.kind !== logKindFilter) {
+        return false;
+      }
+      if (!query) {
+        return true;
+      }
+      const { summary, secondary } = describeEntry(entry);
+      return `${summary} ${secondary} ${entry.frame}`.toLowerCase().includes(query);
+    });
+
+    document.getElementById('activity-section').style.display = activityLog.length > 0 ? 'block' : 'none';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'activity-empty';
+      empty.textContent = 'Nothing matches this filter.';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const { summary, secondary } = describeEntry(entry);
+      const item = document.createElement('li');
+      item.className = 'activity-item';
+      item.title = entry.frame;
+
+      const header = document.createElement('div');
+      header.className = 'activity-header';
+
+      const kind = document.createElement('span');
+      kind.className = `activity-kind kind-${entry.kind}`;
+      kind.textContent = LOG_KINDS[entry.kind] || entry.kind;
+      header.appendChild(kind);
+
+      const time = document.createElement('span');
+      time.className = 'activity-time';
+      time.textContent = formatTime(entry.time);
+      header.appendChild(time);
+
+      const summaryLine = document.createElement('div');
+      summaryLine.className = 'activity-summary';
+      summaryLine.textContent = summary;
+
+      const secondaryLine = document.createElement('div');
+      secondaryLine.className = 'activity-detail';
+      secondaryLine.textContent = secondary;
+
+      item.append(header, summaryLine, secondaryLine);
+      list.appendChild(item);
+    });
+  }
+
+  function setupActivityFilters() {
+    document.querySelectorAll('.activity-filter').forEach(button => {
+      button.addEventListener('click', () => {
+        document.querySelectorAll('.activity-filter').forEach(other => {
+          other.classList.toggle('selected', other === button);
+        });
+        logKindFilter = button.dataset.kind;
+        renderActivityLog();
+      });
+    });
+
+    document.getElementById('activity-search').addEventListener('input', (event) => {
+      logTextFilter = event.target.value.trim();
+      renderActivityLog();
+    });
+  }
+
+  /**
+   * Reflect per-feature policy in the protections list
+   */
+  function showFeatureStates(features) {
+    document.querySelectorAll('.protection-item[data-feature]').forEach(item => {
+      const enabled = features[item.dataset.feature];
+      const count = item.querySelector('.protection-count');
+
+      item.classList.toggle('disabled', !enabled);
+      item.querySelector('.check-icon').innerHTML = enabled ? '&#10003;' : '&#8211;';
+      if (!enabled) {
+        count.textContent = 'Off';
+      }
+    });
   }
 
   /**
@@ -163,6 +504,14 @@
   }
 
   // Initialize popup
-  document.addEventListener('DOMContentLoaded', updatePopup);
+  document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('open-options').addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+    document.getElementById('pick-element').addEventListener('click', startPicker);
+    setupActivityFilters();
+    updatePopup();
+  });
 
 })();
@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibs } = require('./load-libs');
+
+const { ArmorlyAdPatterns: patterns } = loadLibs('rule-schema.js', 'ad-rules.js', 'ad-patterns.js');
+
+test('affiliate domains match the domain and its subdomains only', () => {
+  assert.equal(patterns.isAffiliateDomain('https://t.co/abc'), true);
+  assert.equal(patterns.isAffiliateDomain('https://www.shareasale.com/r.cfm'), true);
+  ['https://reddit.com/r/x', 'https://www.target.com/p', 'https://walmart.com/', 'https://microsoft.co/'].forEach(url => {
+    assert.equal(patterns.isAffiliateDomain(url), false, url);
+  });
+});
+
+test('ad SDK domains match the domain and its subdomains only', () => {
+  assert.equal(patterns.isAdSDKDomain('https://sdk.koah.io/v1.js'), true);
+  assert.equal(patterns.isAdSDKDomain('https://koah.io.example.com/'), false);
+  assert.equal(patterns.isAdSDKDomain('https://notkoah.io/'), false);
+});
+
+test('adapters apply to their hosts and subdomains only', () => {
+  assert.equal(patterns.getAdapter('grok.com').id, 'grok');
+  assert.equal(patterns.getAdapter('x.com').id, 'grok');
+  assert.equal(patterns.getAdapter('www.perplexity.ai').id, 'perplexity');
+  assert.equal(patterns.getAdapter('claude.ai').id, 'claude');
+  ['netflix.com', 'dropbox.com', 'fedex.com', 'xerox.com', 'box.com', 'apoe.com', 'claude.ai.evil.com'].forEach(host => {
+    assert.equal(patterns.getAdapter(host), null, host);
+  });
+});
+
+test('ad network groups with hosts apply to those hosts only', () => {
+  patterns.networkRules.scoped = { hosts: ['chat.example'], selectors: ['.scoped-ad'] };
+  try {
+    assert.ok(patterns.getSelectorsForPlatform('chat.example').includes('.scoped-ad'));
+    assert.ok(patterns.getSelectorsForPlatform('eu.chat.example').includes('.scoped-ad'));
+    assert.ok(!patterns.getSelectorsForPlatform('mychat.example').includes('.scoped-ad'));
+  } finally {
+    delete patterns.networkRules.scoped;
+  }
+});
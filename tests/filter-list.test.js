@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibs } = require('./load-libs');
+
+const { ArmorlyAdPatterns: patterns, ArmorlyFilterList: filterList } =
+  loadLibs('rule-schema.js', 'ad-rules.js', 'ad-patterns.js', 'filter-list.js');
+
+const LIST = [
+  '! comment',
+  'perplexity.ai##.promo',
+  '~a.com,b.com##div.x:has-text(/^Sponsored/i)',
+  '#@#.ad-banner',
+  '||ads.example^',
+  '$removeparam=gclid',
+  '@@||a.com^$removeparam=gclid',
+  '*$removeparam=/^mc_/',
+  'example.com##+js(foo)'
+].join('\n');
+
+test('parses cosmetic rules with domains and :has-text', () => {
+  const { cosmetic } = filterList.parse(LIST);
+  assert.equal(cosmetic.length, 2);
+  assert.deepEqual(cosmetic[0].domains, ['perplexity.ai']);
+  assert.equal(cosmetic[0].selector, '.promo');
+  assert.equal(cosmetic[0].hasText, null);
+  assert.deepEqual(cosmetic[1].domains, ['b.com']);
+  assert.deepEqual(cosmetic[1].excludedDomains, ['a.com']);
+  assert.equal(cosmetic[1].selector, 'div.x');
+  assert.equal(String(cosmetic[1].hasText), '/^Sponsored/i');
+
+  const [literal] = filterList.parse('b.com##div:has-text(Ad (1.99$))').cosmetic;
+  assert.equal(literal.hasText.test('Ad (1.99$) today'), true);
+  assert.equal(literal.hasText.test('Ad 1.99'), false);
+});
+
+test('parses exceptions and removeparam rules, skipping network rules', () => {
+  const result = filterList.parse(LIST);
+  assert.deepEqual(result.exceptions.map(rule => rule.key), ['.ad-banner']);
+  assert.deepEqual(result.removeParams.map(rule => [rule.name, rule.exception]), [['gclid', false], ['gclid', true], [null, false]]);
+  assert.equal(result.ignored, 1);
+  assert.deepEqual(result.errors.map(error => error.line), [9]);
+});
+
+test('cosmetic rules and exceptions change the selectors for a host', () => {
+  patterns.setFilters(filterList.parse(LIST));
+  assert.ok(patterns.getSelectorsForPlatform('www.perplexity.ai').includes('.promo'));
+  assert.ok(!patterns.getSelectorsForPlatform('chatgpt.com').includes('.promo'));
+  assert.ok(!patterns.getSelectorsForPlatform('chatgpt.com').includes('.ad-banner'));
+});
+
+test('removeparam rules feed link cleaning, minus exceptions', () => {
+  patterns.setFilters(filterList.parse(LIST));
+  assert.equal(patterns.cleanUrl('https://b.com/?gclid=1&mc_eid=2&q=3', 'chat.example'), 'https://b.com/?q=3');
+  assert.equal(patterns.cleanUrl('https://a.com/?gclid=1&q=3', 'chat.example'), 'https://a.com/?gclid=1&q=3');
+});
+
+test('caps the number of usable rules', () => {
+  const lines = Array.from({ length: filterList.MAX_RULES + 5 }, (_, i) => `##.ad-${i}`);
+  const result = filterList.parse(lines.join('\n'));
+  assert.equal(result.cosmetic.length, filterList.MAX_RULES);
+  assert.ok(result.errors.length > 0);
+});
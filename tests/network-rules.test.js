@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibs } = require('./load-libs');
+
+const { ArmorlyAdPatterns: patterns, ArmorlySitePolicy: policy, ArmorlyNetworkRules: networkRules } =
+  loadLibs('site-policy.js', 'rule-schema.js', 'ad-rules.js', 'ad-patterns.js', 'network-rules.js');
+
+test('one block rule per SDK with network hosts, sparing its own sites', () => {
+  const built = networkRules.buildRules(patterns, policy, []);
+  const koah = built.find(rule => rule.condition.requestDomains.includes('sdk.koah.io'));
+  assert.equal(koah.action.type, 'block');
+  assert.ok(koah.condition.excludedInitiatorDomains.includes('koah.io'));
+  assert.ok(koah.condition.excludedInitiatorDomains.includes('github.com'));
+  assert.ok(built.every(rule => rule.action.type === 'block'));
+});
+
+test('overrides exclude sites and allow subdomains of skipped ones', () => {
+  const built = networkRules.buildRules(patterns, policy, [
+    { host: 'chat.github.com' },
+    { host: 'news.example', features: { networkBlocking: false } }
+  ]);
+  assert.ok(built[0].condition.excludedInitiatorDomains.includes('news.example'));
+  const allow = built[built.length - 1];
+  assert.equal(allow.action.type, 'allow');
+  assert.deepEqual(allow.condition.initiatorDomains, ['chat.github.com']);
+});
+
+test('matches blocked requests the way declarativeNetRequest applies the rules', () => {
+  const built = networkRules.buildRules(patterns, policy, [{ host: 'chat.github.com' }]);
+  const request = (initiator, type = 'script') => networkRules.matchRequest(built, {
+    url: 'https://sdk.koah.io/v1/loader.js',
+    initiator,
+    type
+  });
+
+  assert.equal(request('https://chatgpt.com/c/1').action.type, 'block');
+  assert.equal(request('https://chatgpt.com', 'beacon').action.type, 'block');
+  assert.equal(request('https://chatgpt.com', 'main_frame'), null);
+  assert.equal(request('https://koah.io'), null);
+  assert.equal(request('https://github.com'), null);
+  assert.equal(request('https://chat.github.com'), null);
+  assert.equal(networkRules.matchRequest(built, {
+    url: 'https://cdn.example.com/app.js',
+    initiator: 'https://chatgpt.com',
+    type: 'script'
+  }), null);
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { loadLibs, fakeStorage } = require('./load-libs');
+const { publicKeyBase64, signPack } = require('../tools/sign-rule-pack');
+
+let { ArmorlyAdPatterns: patterns, ArmorlyAdRules: builtIn, ArmorlyRulePacks: packs } =
+  loadLibs('rule-schema.js', 'ad-rules.js', 'ad-patterns.js', 'rule-pack-keys.js', 'rule-packs.js');
+
+const signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+const otherKey = crypto.generateKeyPairSync('ed25519').privateKey;
+
+// Keys are read when rule-packs.js loads, so it is loaded again for each set
+function trust(...keys) {
+  globalThis.ArmorlyRulePackKeys = keys.map((key, i) => ({ id: `test-${i}`, key: publicKeyBase64(key) }));
+  packs = loadLibs('rule-packs.js').ArmorlyRulePacks;
+}
+
+function freshStorage(initial) {
+  globalThis.chrome = { storage: fakeStorage(initial).storage };
+}
+
+function pack(version, rules = {}) {
+  return {
+    format: packs.FORMAT,
+    name: 'Test pack',
+    version,
+    schemaVersion: globalThis.ArmorlyRuleSchema.SCHEMA_VERSION,
+    rules
+  };
+}
+
+function packFile(payload, key = signingKey) {
+  return JSON.stringify(signPack(payload, key));
+}
+
+const NEW_SDK = {
+  sdks: {
+    newads: {
+      name: 'NewAds',
+      globals: ['NewAds'],
+      methods: ['init'],
+      scriptPatterns: ['newads\\.example'],
+      domains: ['newads.example'],
+      network: ['sdk.newads.example']
+    }
+  },
+  adLabels: { exact: ['promoted answer'] },
+  affiliateParams: ['nadref']
+};
+
+test('ships without a trusted key, so packs are off', async () => {
+  assert.equal(packs.enabled, false);
+  freshStorage({ local: { rulePacks: { installed: [], url: 'http://127.0.0.1:1/pack.json' } } });
+  assert.deepEqual(await packs.update(), { updated: false, pack: null, errors: [] });
+});
+
+test('keys added after loading are not trusted', async () => {
+  trust();
+  globalThis.ArmorlyRulePackKeys.push({ id: 'late', key: publicKeyBase64(signingKey) });
+  assert.equal(packs.enabled, false);
+  assert.deepEqual((await packs.parse(packFile(pack('1.0.0')))).errors,
+    ['signature: no trusted signing key is configured (lib/rule-pack-keys.js)']);
+});
+
+test('accepts a pack signed by a trusted key', async () => {
+  trust(otherKey, signingKey);
+  const result = await packs.parse(packFile(pack('1.0.0', NEW_SDK)));
+  assert.equal(result.valid, true, result.errors.join('; '));
+  assert.equal(result.pack.version, '1.0.0');
+});
+
+test('rejects packs without a trusted signature', async () => {
+  trust();
+  assert.deepEqual((await packs.parse(packFile(pack('1.0.0')))).errors,
+    ['signature: no trusted signing key is configured (lib/rule-pack-keys.js)']);
+
+  trust(signingKey);
+  assert.deepEqual((await packs.parse(packFile(pack('1.0.0'), otherKey))).errors,
+    ['signature: does not match a trusted signing key']);
+
+  const tampered = signPack(pack('1.0.0'), signingKey);
+  tampered.payload = tampered.payload.replace('1.0.0', '9.0.0');
+  assert.deepEqual((await packs.parse(JSON.stringify(tampered))).errors,
+    ['signature: does not match a trusted signing key']);
+});
+
+test('checks the payload once the signature holds', async () => {
+  trust(signingKey);
+  const result = await packs.parse(packFile(Object.assign(pack('1.0'), { rules: { platformAdapters: {} } })));
+  assert.deepEqual(result.errors, [
+    'version: expected a version such as "1.4.0"',
+    'rules.platformAdapters: not allowed in a rule pack'
+  ]);
+});
+
+test('merges a pack over the built-in rules without changing them', () => {
+  const merged = packs.merge(builtIn, pack('1.4.0', NEW_SDK));
+  assert.equal(merged.version, `${builtIn.version}+pack.1.4.0`);
+  assert.equal(merged.sdks.newads.name, 'NewAds');
+  assert.ok(merged.sdks.koah);
+  assert.ok(merged.adLabels.exact.includes('promoted answer'));
+  assert.ok(merged.adLabels.exact.includes(builtIn.adLabels.exact[0]));
+  assert.ok(merged.affiliateParams.includes('nadref'));
+  assert.equal(builtIn.sdks.newads, undefined);
+});
+
+test('applies a pack to the compiled patterns and back', () => {
+  assert.equal(patterns.getNetworkSDK('https://sdk.newads.example/v1.js'), null);
+  assert.equal(packs.apply(pack('1.4.0', NEW_SDK)), true);
+  assert.deepEqual(patterns.getNetworkSDK('https://sdk.newads.example/v1.js'), { id: 'newads', name: 'NewAds' });
+  assert.equal(packs.apply(null), true);
+  assert.equal(patterns.getNetworkSDK('https://sdk.newads.example/v1.js'), null);
+});
+
+test('install keeps a short history; rollback and removeAll step back', async () => {
+  trust(signingKey);
+  freshStorage();
+
+  for (const version of ['1.0.0', '1.1.0', '1.2.0', '1.3.0']) {
+    assert.equal((await packs.install(packFile(pack(version)), 'file')).valid, true);
+  }
+  let state = await packs.load();
+  assert.deepEqual(state.installed.map(entry => entry.version), ['1.3.0', '1.2.0', '1.1.0']);
+  assert.equal(packs.activeFrom(state).version, '1.3.0');
+
+  state = await packs.rollback();
+  assert.equal(packs.activeFrom(state).version, '1.2.0');
+
+  state = await packs.removeAll();
+  assert.equal(packs.activeFrom(state), null);
+});
+
+test('an invalid pack leaves the installed ones alone', async () => {
+  trust(signingKey);
+  freshStorage();
+  await packs.install(packFile(pack('1.0.0')), 'file');
+  assert.equal((await packs.install(packFile(pack('2.0.0'), otherKey), 'file')).valid, false);
+  assert.equal(packs.activeFrom(await packs.load()).version, '1.0.0');
+});
+
+test('update() installs newer packs from the configured URL', async t => {
+  trust(signingKey);
+  freshStorage();
+
+  const served = { '/pack.json': packFile(pack('1.0.0')) };
+  const server = http.createServer((request, response) => {
+    if (served[request.url]) {
+      response.end(served[request.url]);
+    } else {
+      response.statusCode = 404;
+      response.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.deepEqual(await packs.update(), { updated: false, pack: null, errors: [] });
+
+  await packs.setUrl(`${base}/pack.json`);
+  let result = await packs.update();
+  assert.equal(result.updated, true);
+  assert.equal((await packs.load()).installed[0].source, `${base}/pack.json`);
+
+  // Same version again: nothing to install
+  result = await packs.update();
+  assert.equal(result.updated, false);
+  assert.deepEqual(result.errors, []);
+  assert.equal((await packs.load()).installed.length, 1);
+
+  served['/pack.json'] = packFile(pack('1.1.0'), otherKey);
+  result = await packs.update();
+  assert.deepEqual(result.errors, ['signature: does not match a trusted signing key']);
+
+  served['/pack.json'] = packFile(pack('1.1.0'));
+  assert.equal((await packs.update()).updated, true);
+  assert.equal(packs.activeFrom(await packs.load()).version, '1.1.0');
+
+  await packs.setUrl(`${base}/missing.json`);
+  assert.deepEqual((await packs.update()).errors, ['url: could not fetch the pack (HTTP 404)']);
+
+  await packs.setUrl('ftp://127.0.0.1/pack.json');
+  assert.deepEqual((await packs.update()).errors, ['url: could not fetch the pack (only http(s) URLs are supported)']);
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibs } = require('./load-libs');
+
+const { ArmorlyRuleSchema: schema, ArmorlyAdRules: rules } = loadLibs('rule-schema.js', 'ad-rules.js');
+
+test('the built-in ruleset passes the schema', () => {
+  assert.deepEqual(schema.validate(rules), { valid: true, errors: [] });
+});
+
+test('the schema rejects malformed rules with a path', () => {
+  const broken = JSON.parse(JSON.stringify(rules));
+  broken.sdks.koah.globals = [1];
+  const result = schema.validate(broken);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ['sdks.koah.globals[0]: expected a non-empty string']);
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibs, fakeStorage } = require('./load-libs');
+
+const { ArmorlySitePolicy: policy } = loadLibs('site-policy.js');
+
+test('putOverride replaces the rule for the same host and path only', async () => {
+  const fake = fakeStorage({ sync: { siteOverrides: [{ host: 'a.example' }, { host: 'a.example', path: '/x' }] } });
+  globalThis.chrome = { storage: fake.storage };
+
+  await policy.putOverride({ host: 'a.example', skip: true });
+  assert.deepEqual(fake.areas.sync.siteOverrides, [
+    { host: 'a.example', skip: true },
+    { host: 'a.example', path: '/x' }
+  ]);
+});
+
+test('a failed read never overwrites the stored overrides', async () => {
+  const fake = fakeStorage({ sync: { siteOverrides: [{ host: 'a.example' }] } });
+  fake.storage.sync.get = async () => {
+    throw new Error('storage unavailable');
+  };
+  globalThis.chrome = { storage: fake.storage };
+
+  assert.deepEqual(await policy.loadOverrides(), []);
+  await assert.rejects(policy.setOverride('b.example', false), /storage unavailable/);
+  await assert.rejects(policy.removeOverride('a.example'), /storage unavailable/);
+  assert.deepEqual(fake.areas.sync.siteOverrides, [{ host: 'a.example' }]);
+});
+
+test('host patterns: subdomains, and * within a hostname', () => {
+  assert.equal(policy.matchesHost('reddit.com', 'old.reddit.com'), true);
+  assert.equal(policy.matchesHost('reddit.com', 'notreddit.com'), false);
+  assert.equal(policy.matchesHost('*.google.com', 'mail.google.com'), true);
+  assert.equal(policy.matchesHost('*.google.com', 'google.com'), false);
+  assert.equal(policy.matchesHost('chat.*.example', 'chat.eu.example'), true);
+  assert.equal(policy.matchesHost('chat.*.example', 'chat.example'), false);
+  assert.equal(policy.matchesHost('a*b*c.example', 'abc.example'), true);
+  assert.equal(policy.matchesHost('a*b*c.example', 'ab.example'), false);
+  assert.equal(policy.matchesHost('*.example.com', 'x_y.example.com'), false);
+});
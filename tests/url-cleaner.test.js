@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibs } = require('./load-libs');
+
+globalThis.document = { baseURI: 'https://chat.example/c/1' };
+const { ArmorlyAdPatterns: patterns, ArmorlyUrlCleaner: cleaner } =
+  loadLibs('rule-schema.js', 'ad-rules.js', 'ad-patterns.js', 'url-cleaner.js');
+
+test('strips tracking parameters and keeps the rest', () => {
+  assert.deepEqual(
+    cleaner.cleanTrackedUrl('https://shop.example/p?utm_source=x&id=4&ref=abc', patterns),
+    { url: 'https://shop.example/p?id=4', redirector: null }
+  );
+});
+
+test('leaves clean links alone', () => {
+  assert.equal(cleaner.cleanTrackedUrl('https://shop.example/p?id=4', patterns), null);
+  assert.equal(cleaner.cleanTrackedUrl('not a url at all ::', patterns), null);
+});
+
+test('resolves relative links against the page', () => {
+  assert.deepEqual(
+    cleaner.cleanTrackedUrl('/item?utm_campaign=1', patterns),
+    { url: 'https://chat.example/item', redirector: null }
+  );
+});
+
+test('unwraps redirectors to the cleaned destination', () => {
+  const tracked = 'https://go.skimresources.com/?id=1&url=' +
+    encodeURIComponent('https://shop.example/p?utm_medium=y&q=1');
+  assert.deepEqual(cleaner.cleanTrackedUrl(tracked, patterns), { url: 'https://shop.example/p?q=1', redirector: 'skimlinks' });
+});
+
+test('cleans URLs in plain text without eating sentence punctuation', () => {
+  const cleaned = [];
+  const text = cleaner.cleanText('See https://a.com/?ref=x. Or [b](https://b.com/x?utm_campaign=z)', patterns,
+    (before, after) => cleaned.push([before, after]));
+  assert.equal(text, 'See https://a.com/. Or [b](https://b.com/x)');
+  assert.equal(cleaned.length, 2);
+});
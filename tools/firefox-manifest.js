@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Armorly - Firefox Manifest
+ *
+ * Writes the Firefox version of extension/manifest.json, so both builds
+ * come from one manifest. Run by `./build.sh firefox`; Node built-ins only.
+ *
+ *   node tools/firefox-manifest.js <out/manifest.json>
+ *
+ * What changes for Firefox:
+ *   - The background runs as background scripts, not a service worker:
+ *     the files service-worker.js loads with importScripts() (read from it,
+ *     so the list is kept in one place), then the worker itself
+ *   - browser_specific_settings.gecko: the add-on id storage.sync needs,
+ *     and Firefox 128 as the minimum for world: "MAIN" content scripts
+ *   - match_origin_as_fallback is Chromium-only and is dropped
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'extension');
+const WORKER = 'background/service-worker.js';
+
+const GECKO_SETTINGS = {
+  id: 'armorly@armorly.extension',
+  strict_min_version: '128.0',
+  data_collection_permissions: { required: ['none'] }
+};
+
+/**
+ * Extension-relative paths of the worker's importScripts() arguments
+ */
+function workerImports() {
+  const source = fs.readFileSync(path.join(EXTENSION_DIR, WORKER), 'utf8');
+  const call = source.match(/importScripts\(([^)]*)\)/);
+  if (!call) {
+    throw new Error(`No importScripts() call in ${WORKER}`);
+  }
+  return Array.from(call[1].matchAll(/'([^']+)'/g), match => path.posix.join(path.posix.dirname(WORKER), match[1]));
+}
+
+function firefoxManifest(manifest) {
+  const firefox = { ...manifest };
+
+  firefox.background = { scripts: [...workerImports(), manifest.background.service_worker] };
+  firefox.browser_specific_settings = { gecko: GECKO_SETTINGS };
+  firefox.content_scripts = manifest.content_scripts.map(entry => {
+    const copy = { ...entry };
+    delete copy.match_origin_as_fallback;
+    return copy;
+  });
+
+  return firefox;
+}
+
+const [outPath] = process.argv.slice(2);
+
+if (!outPath) {
+  console.error('Usage: node tools/firefox-manifest.js <out/manifest.json>');
+  process.exit(1);
+}
+
+const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+fs.writeFileSync(outPath, JSON.stringify(firefoxManifest(manifest), null, 2) + '\n');
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Armorly - Rule Pack Signer
+ *
+ * Signs a rule pack payload (see extension/lib/rule-packs.js for the
+ * format) with the maintainers' Ed25519 key. Node built-ins only.
+ *
+ *   node tools/sign-rule-pack.js keygen <private-key.pem>
+ *       Create a signing key and print the entry to add to
+ *       extension/lib/rule-pack-keys.js
+ *   node tools/sign-rule-pack.js sign <pack.json> <private-key.pem> [out.json]
+ *       Write the signed pack file (stdout without out.json)
+ *
+ * Keep the private key out of the repository.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+function publicKeyBase64(key) {
+  const jwk = crypto.createPublicKey(key).export({ format: 'jwk' });
+  return Buffer.from(jwk.x, 'base64url').toString('base64');
+}
+
+function keygen(keyPath) {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  console.log(`Private key written to ${keyPath}`);
+  console.log('Add to ArmorlyRulePackKeys in extension/lib/rule-pack-keys.js:');
+  console.log(`  { id: 'maintainers-${new Date().getFullYear()}', key: '${publicKeyBase64(privateKey)}' }`);
+}
+
+/**
+ * Pack file object ({ payload, signature }) for the `pack` payload,
+ * signed with the private `key` (a KeyObject)
+ */
+function signPack(pack, key) {
+  const payload = JSON.stringify(pack);
+  const signature = crypto.sign(null, Buffer.from(payload, 'utf8'), key).toString('base64');
+  return { payload, signature };
+}
+
+function sign(packPath, keyPath, outPath) {
+  const pack = JSON.parse(fs.readFileSync(packPath, 'utf8'));
+  const key = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+
+  const file = JSON.stringify(signPack(pack, key), null, 2) + '\n';
+  if (outPath) {
+    fs.writeFileSync(outPath, file);
+    console.error(`Signed ${pack.name} ${pack.version} -> ${outPath} (public key ${publicKeyBase64(key)})`);
+  } else {
+    process.stdout.write(file);
+  }
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+
+  if (command === 'keygen' && args.length === 1) {
+    keygen(args[0]);
+  } else if (command === 'sign' && (args.length === 2 || args.length === 3)) {
+    sign(args[0], args[1], args[2]);
+  } else {
+    console.error('Usage:\n' +
+      '  node tools/sign-rule-pack.js keygen <private-key.pem>\n' +
+      '  node tools/sign-rule-pack.js sign <pack.json> <private-key.pem> [out.json]');
+    process.exit(1);
+  }
+}
+
+// Required by the tests for the helpers
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { publicKeyBase64, signPack };